@@ -6,10 +6,169 @@
 // 定数定義
 const SCRIPT_PROP_KEY_SHEET_ID = 'SHEET_ID';
 const SCRIPT_PROP_KEY_GEMINI_API_KEY = 'GEMINI_API_KEY';
+const SCRIPT_PROP_KEY_OPENAI_API_KEY = 'OPENAI_API_KEY';
+const SCRIPT_PROP_KEY_GRADING_PROVIDER = 'GRADING_PROVIDER'; // gemini | openai | rule
+const SCRIPT_PROP_KEY_GRADING_MODEL = 'GRADING_MODEL';       // 未設定ならプロバイダの既定モデル
+const SCRIPT_PROP_KEY_GRADING_ENDPOINT = 'GRADING_ENDPOINT'; // 未設定ならプロバイダの既定 URL (ローカルのモックサーバーも指定可)
+const DEFAULT_GRADING_PROVIDER = 'gemini';
+const SCRIPT_PROP_KEY_GRADING_CONSISTENCY = 'GRADING_CONSISTENCY'; // 一貫性モードの設定 (JSON)
 const SHEET_NAME_QUESTIONS = 'Questions';
 const SHEET_NAME_RESPONSES = 'Responses';
 const SHEET_NAME_PATTERNS = 'Patterns';
 const SHEET_NAME_SCORE_TABLE = '点数表';
+const SHEET_NAME_SNAPSHOTS = 'Snapshots';
+const SHEET_NAME_SCORE_OVERRIDES = 'ScoreOverrides';
+const SHEET_NAME_DEPLOYMENTS = 'Deployments';
+const SHEET_NAME_QUESTION_BANK = 'QuestionBank';
+const SHEET_NAME_GRADING_CACHE = 'GradingCache';
+const GRADING_CACHE_HEADER = ['Key', 'QuestionID', 'SubQuestionID', 'ContentHash', 'ResultJSON', 'CreatedAt'];
+const GRADING_CACHE_PREFIX = 'grading_';
+const SCRIPT_PROP_KEY_GRADING_CACHE_GENERATION = 'GRADING_CACHE_GENERATION'; // キャッシュの世代 (全消去のたびに変える)
+const GRADING_CACHE_TTL_SEC = 6 * 60 * 60; // CacheServiceの上限 (6時間)。期限切れ後はシートから読み直す
+const GRADING_CACHE_MAX_ROWS = 5000; // シートに残す件数の上限。超えたら古い行から削除する
+const QUESTION_BANK_HEADER = ['ID', 'Tags', 'Difficulty', 'QuestionJSON', 'UpdatedAt'];
+const DIFFICULTY_LEVELS = [1, 2, 3, 4, 5];
+const SCORE_TABLE_HEADER = ['ID', 'Timestamp', 'Name', 'Pattern', 'Score', 'Deadline', 'Status', 'VersionId', 'ReviewState', 'DeploymentId', 'ShuffleJSON', 'StudentID', 'Attempt'];
+const SCORE_OVERRIDES_HEADER = ['Timestamp', 'SessionID', 'QuestionID', 'SubQuestionID', 'OriginalScore', 'OverrideScore', 'Comment', 'Reviewer'];
+const REVIEW_STATES = ['unreviewed', 'reviewed', 'needs_attention'];
+const GRADING_FAILURE_PREFIXES = ['採点エラー', '採点不能', 'システムエラー']; // 講評がこれで始まる結果は採点失敗 (needs_attention)
+const SNAPSHOTS_HEADER = ['VersionId', 'CreatedAt', 'Pattern', 'QuestionsJSON'];
+const SHEET_NAME_PATTERN_VERSIONS = 'PatternVersions';
+const PATTERNS_HEADER = ['Title', 'QuestionsJSON', 'UpdatedAt', 'SettingsJSON', 'DeletedAt'];
+const PATTERN_VERSIONS_HEADER = ['Title', 'Version', 'SavedAt', 'Author', 'QuestionsJSON', 'SettingsJSON', 'Note'];
+const PATTERN_DIFF_FIELDS = ['text', 'points', 'criteria', 'rubric', 'modelAnswer'];
+const PATTERN_EXPORT_FORMAT_ID = 'electest-pattern/1';
+const EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    moodle: { extension: 'xml', mimeType: 'application/xml' },
+    gift: { extension: 'gift.txt', mimeType: 'text/plain' }
+};
+const CSV_COLUMNS = ['ID', 'ParentID', 'Type', 'Text', 'Points', 'Criteria', 'Rubric', 'ModelAnswer', 'Choices', 'Correct', 'NumericValue', 'NumericUnit', 'NumericTolerance', 'NumericRelTolerance', 'ImageURL', 'IsPublished'];
+const CSV_CHOICE_SEPARATOR = ' | ';
+const REPORT_FORMATS = {
+    html: { extension: 'html', mimeType: 'text/html' },
+    pdf: { extension: 'pdf', mimeType: 'application/pdf' }
+};
+const DEPLOYMENTS_HEADER = ['DeploymentId', 'AccessCode', 'Pattern', 'QuestionsJSON', 'SettingsJSON', 'Status', 'CreatedAt', 'UpdatedAt'];
+const RESPONSES_HEADER = ['Timestamp', 'Total Score', 'SessionID', 'Details (JSON)'];
+const QUESTIONS_HEADER = ['ID', 'Text', 'Image URL', 'Points', 'Criteria', 'SubQuestionsJSON', 'ModelAnswer', 'ReferenceDiagramId', 'IsPublished', 'AttributesJSON'];
+
+// 解答形式 (text 以外はAIを使わずに自動採点する)
+const QUESTION_TYPES = ['text', 'single', 'multiple', 'truefalse', 'numeric'];
+const TRUE_FALSE_CHOICES = [{ id: 'true', text: '正しい (○)' }, { id: 'false', text: '誤り (×)' }];
+
+// 数値問題: SI接頭語・単位
+const SI_PREFIXES = { G: 1e9, M: 1e6, k: 1e3, m: 1e-3, 'μ': 1e-6, u: 1e-6, n: 1e-9, p: 1e-12 };
+const UNIT_ALIASES = { ohm: 'Ω', Ohm: 'Ω', OHM: 'Ω', hz: 'Hz', HZ: 'Hz' };
+const NUMERIC_DEFAULT_REL_TOLERANCE = 1e-9;   // 許容誤差未設定時 (浮動小数点誤差のみ許容)
+const NUMERIC_DEFAULT_ANGLE_TOLERANCE = 1;    // 位相角の許容誤差 (度)
+const NUMERIC_PARTIAL_CREDIT = 0.5;           // 数値は合っているが単位・位相角が違う場合の得点率
+
+// 試験時間
+const SCRIPT_PROP_KEY_EXAM_SETTINGS = 'CURRENT_EXAM_SETTINGS';
+const SUBMISSION_GRACE_SEC = 60; // 通信遅延を考慮した提出猶予
+const SUBMITTABLE_STATUSES = ['IN_PROGRESS', 'PENDING_GRADING']; // submitAnswers を受け付ける点数表の Status
+
+// 受験中の回答の途中保存 (別の端末で続きから再開する)
+const SHEET_NAME_DRAFTS = 'Drafts';
+const DRAFTS_HEADER = ['SessionID', 'SavedAt', 'AnswersJSON', 'Position'];
+const DRAFT_ROW_CACHE_PREFIX = 'draft_row_';  // セッションID -> Drafts の行番号
+const RESUME_CODE_LENGTH = 8;                 // 再開コード (セッションIDの先頭) の桁数
+
+// 記述式の画像での回答 (手書きの計算過程などの写真。ファイルは Drive、一覧は AnswerImages シート)
+const SHEET_NAME_ANSWER_IMAGES = 'AnswerImages';
+const ANSWER_IMAGES_HEADER = ['FileID', 'SessionID', 'QuestionID', 'SubQuestionID', 'Name', 'MimeType', 'Size', 'UploadedAt', 'DeletedAt'];
+const SCRIPT_PROP_KEY_ANSWER_IMAGE_FOLDER = 'ANSWER_IMAGE_FOLDER_ID'; // 未設定なら初回のアップロード時にフォルダを作成する
+const ANSWER_IMAGE_FOLDER_NAME = 'ElecTest 回答画像';
+const ANSWER_IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+const ANSWER_IMAGE_MAX_BYTES = 3 * 1024 * 1024; // 上限枚数でも 1 つの回答が採点リクエストの上限に収まる大きさ
+const ANSWER_IMAGE_MAX_PER_ANSWER = 3;         // 1 つの回答 (問題 or 小問) に添付できる枚数
+// 採点の 1 リクエストに含める画像の上限 (超える場合はチャンクを分ける)。
+// 容量は Base64 の文字数で数え、Gemini のインラインデータの上限 (リクエスト全体で 20MB) より余裕を持たせる
+const GRADING_MAX_IMAGES_PER_REQUEST = 6;
+const GRADING_MAX_IMAGE_CHARS_PER_REQUEST = 15 * 1024 * 1024;
+
+// 同時公開 (Deployments)
+// アクセスコードなしの受験は、従来どおり Questions シートの試験 (既定の公開) を使う
+const DEFAULT_DEPLOYMENT_ID = 'default';
+const SCRIPT_PROP_KEY_DEFAULT_DEPLOYMENT_STATUS = 'DEFAULT_DEPLOYMENT_STATUS';
+const DEPLOYMENT_STATUSES = ['open', 'closed'];
+const ACCESS_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // 読み間違えやすい I, O, 0, 1 を除く
+const ACCESS_CODE_LENGTH = 6;
+
+// 受験者名簿 (学籍番号 + PIN による本人確認) と受験回数
+const SHEET_NAME_ROSTER = 'Roster';
+const ROSTER_HEADER = ['StudentID', 'Name', 'Class', 'PINHash', 'UpdatedAt', 'Email'];
+const ROSTER_CSV_COLUMNS = {                 // 名簿 CSV の見出し (大文字小文字は区別しない)
+    studentId: ['studentid', '学籍番号', 'id'],
+    name: ['name', '氏名', '名前'],
+    className: ['class', 'クラス', '組'],
+    pin: ['pin'],
+    email: ['email', 'mail', 'メール', 'メールアドレス']
+};
+const ROSTER_PIN_LENGTH = 6;
+// PIN のハッシュ: v2$<salt>$<hash> (学生ごとのランダムな salt と、スクリプトプロパティの秘密の値を混ぜて繰り返す)
+const ROSTER_PIN_HASH_VERSION = 'v2';
+const ROSTER_PIN_HASH_ITERATIONS = 100;
+const SCRIPT_PROP_KEY_ROSTER_PIN_SECRET = 'ROSTER_PIN_SECRET'; // 名簿シートだけでは PIN を総当たりできないようにする
+const CANDIDATE_LOGIN_FAILURE_PREFIX = 'candidate_login_failures_';
+const CANDIDATE_LOGIN_MAX_FAILURES = 5;
+const CANDIDATE_LOGIN_LOCK_SEC = 10 * 60;
+const ATTEMPT_POLICIES = ['best', 'latest', 'first']; // 複数回受験した場合に成績として採用する回
+
+// メール通知 (受験者への採点結果・教員への提出状況のまとめ)
+const SCRIPT_PROP_KEY_NOTIFICATION_SETTINGS = 'NOTIFICATION_SETTINGS'; // JSON
+const SCRIPT_PROP_KEY_MAIL_TRANSPORT = 'MAIL_TRANSPORT';               // mailapp (既定) | log
+const SCRIPT_PROP_KEY_DIGEST_SINCE = 'NOTIFICATION_DIGEST_SINCE';      // 前回のまとめに含めた提出の時刻
+const DEFAULT_NOTIFICATION_SETTINGS = { candidateResults: false, instructorEmails: [], digestHours: 0 };
+const DIGEST_TRIGGER_HANDLER = 'sendResultDigest';
+const DIGEST_INTERVAL_HOURS = [1, 2, 4, 6, 8, 12, 24]; // 時間主導型トリガーで指定できる間隔 (24 は毎日)
+const MAIL_SENDER_NAME = 'ElecTest System';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 受験中の行動記録 (画面からの離脱・貼り付け・全画面の解除)
+const SHEET_NAME_INTEGRITY_LOG = 'IntegrityLog';
+const INTEGRITY_LOG_HEADER = ['ReceivedAt', 'SessionID', 'OccurredAt', 'Type', 'DurationMs', 'Length', 'QuestionID'];
+const INTEGRITY_EVENT_TYPES = {
+    hidden: '別のタブ・アプリに切り替え',
+    visible: '試験画面に戻る',
+    blur: 'ウィンドウのフォーカスが外れる',
+    focus: 'ウィンドウに戻る',
+    paste: '貼り付け',
+    fullscreen_exit: '全画面表示を解除'
+};
+const INTEGRITY_MAX_EVENTS_PER_BATCH = 100;
+const INTEGRITY_THRESHOLDS = {               // いずれかに達したら (以上)「要確認」
+    leaves: 3,                               // 画面から離れた回数
+    awayMs: 60 * 1000,                       // 画面から離れていた合計時間
+    pastedChars: 100,                        // 貼り付けた文字数の合計
+    fullscreenExits: 1                       // 全画面表示を解除した回数
+};
+
+// 未採点回答の回復ジョブ
+const RECOVERY_TRIGGER_HANDLER = 'recoverPendingGradings';
+const RECOVERY_INTERVAL_MINUTES = 10;
+const RECOVERY_MIN_AGE_SEC = 5 * 60;       // 採点処理中の提出と競合しないよう、この時間が経過したものだけ回復
+const RECOVERY_MAX_SESSIONS_PER_RUN = 10;  // GASの実行時間制限 (6分) 対策
+const RECOVERY_RUNNING_CACHE_KEY = 'recovery_running';
+const RECOVERY_RUNNING_TTL_SEC = 6 * 60;   // 実行時間の上限を過ぎたら実行中の印は無効
+
+// 同時実行の制御とキャッシュ
+const SCRIPT_LOCK_TIMEOUT_MS = 30 * 1000;
+const PUBLISHED_CACHE_REV_KEY = 'published_rev';  // 公開中の問題・パターン名のキャッシュのリビジョン
+const SESSION_ROW_CACHE_PREFIX = 'session_row_';  // セッションID -> 点数表の行番号
+const DATA_CACHE_TTL_SEC = 6 * 60 * 60;           // CacheServiceの上限 (6時間)
+
+// 管理者認証
+const SCRIPT_PROP_KEY_ADMIN_PASSWORD = 'ADMIN_PASSWORD';
+const SCRIPT_PROP_KEY_ADMIN_EMAILS = 'ADMIN_EMAILS'; // カンマ区切りのGoogleアカウント許可リスト
+const ADMIN_SESSION_CACHE_PREFIX = 'admin_session_';
+const ADMIN_SESSION_TTL_SEC = 6 * 60 * 60; // CacheServiceの上限 (6時間)
+const ADMIN_LOGIN_FAILURE_PREFIX = 'admin_login_failures_';
+const ADMIN_LOGIN_MAX_FAILURES = 5;
+const ADMIN_LOGIN_LOCK_SEC = 10 * 60;
+const ADMIN_AUTH_ERROR = 'AUTH_REQUIRED: 管理者認証が必要です。再度ログインしてください。';
 
 /**
  * Webアプリへのアクセス時にHTMLを返す
@@ -33,44 +192,288 @@ function _getSpreadsheetId() {
 }
 
 /**
- * 問題データの保存 (管理画面用) -- 公開(Deploy)処理
- * @param {Array} questions - フロントエンドから送信された問題リスト
- * @param {string} patternTitle - (Optional) 適用するパターン名
+ * 管理者ログイン
+ * ADMIN_EMAILS に含まれるGoogleアカウントはパスワード不要。
+ * それ以外は ADMIN_PASSWORD と照合し、成功時にセッショントークンを発行する。
+ * @param {string} password - 入力されたパスワード
+ * @return {Object} { success, token, message }
  */
-function saveQuestions(questions, patternTitle) {
+function adminLogin(password) {
     try {
-        const ssId = _getSpreadsheetId();
-        const ss = SpreadsheetApp.openById(ssId);
-        let sheet = ss.getSheetByName(SHEET_NAME_QUESTIONS);
-        if (!sheet) {
-            sheet = ss.insertSheet(SHEET_NAME_QUESTIONS);
+        const props = PropertiesService.getScriptProperties();
+        const cache = CacheService.getScriptCache();
+
+        const email = _getActiveUserEmail();
+        const allowList = (props.getProperty(SCRIPT_PROP_KEY_ADMIN_EMAILS) || '')
+            .split(',')
+            .map(s => s.trim().toLowerCase())
+            .filter(Boolean);
+        const expected = props.getProperty(SCRIPT_PROP_KEY_ADMIN_PASSWORD);
+
+        if (!expected && allowList.length === 0) {
+            return { success: false, message: '管理者認証が設定されていません。スクリプトプロパティで ADMIN_PASSWORD または ADMIN_EMAILS を設定してください。' };
         }
 
-        // 保存されたパターン名をプロパティに記録 (Examinee表示用)
-        const props = PropertiesService.getScriptProperties();
-        if (patternTitle) {
-            props.setProperty('CURRENT_PATTERN_TITLE', patternTitle);
-        } else if (patternTitle === '') {
-            props.deleteProperty('CURRENT_PATTERN_TITLE');
+        // 許可されたアカウントはパスワードを使わないため、失敗回数のロックの対象外
+        if (email && allowList.indexOf(email.toLowerCase()) >= 0) {
+            return _issueAdminToken(email);
+        }
+
+        // 連続失敗によるロック (総当たり対策)。アカウントが分かる場合はアカウントごとに数える
+        const failKey = ADMIN_LOGIN_FAILURE_PREFIX + (email ? _digestHex(email.toLowerCase()).slice(0, 16) : 'anonymous');
+        const failures = Number(cache.get(failKey)) || 0;
+        if (failures >= ADMIN_LOGIN_MAX_FAILURES) {
+            return { success: false, message: 'ログイン試行回数が上限に達しました。しばらく待ってから再度お試しください。' };
+        }
+
+        if (!expected || !password || _digestHex(String(password)) !== _digestHex(expected)) {
+            if (password) cache.put(failKey, String(failures + 1), ADMIN_LOGIN_LOCK_SEC);
+            return { success: false, message: 'パスワードが間違っています' };
         }
-        // patternTitleが未指定(undefined)の場合は、既存の値を維持するか、"Custom"とするか。
-        // ここでは更新しない(=維持)戦略をとるが、明示的にnull/emptyが渡されたら消す。
 
-        // 既存データをクリアしてヘッダーを設定
-        sheet.clear();
+        cache.remove(failKey);
+        return _issueAdminToken(email || 'admin');
+    } catch (e) {
+        console.error('adminLogin Error:', e);
+        return { success: false, message: 'ログインエラー: ' + e.toString() };
+    }
+}
+
+function _issueAdminToken(user) {
+    const token = Utilities.getUuid();
+    CacheService.getScriptCache().put(ADMIN_SESSION_CACHE_PREFIX + token, JSON.stringify({ user: user, issuedAt: new Date().toISOString() }), ADMIN_SESSION_TTL_SEC);
+    return { success: true, token: token, user: user };
+}
+
+/**
+ * 管理者ログアウト (トークン破棄)
+ */
+function adminLogout(adminToken) {
+    if (adminToken) {
+        CacheService.getScriptCache().remove(ADMIN_SESSION_CACHE_PREFIX + adminToken);
+    }
+    return { success: true };
+}
+
+/**
+ * 管理者トークンの検証。無効な場合は例外を投げる。
+ * 有効なトークンは有効期限を延長する (スライディング方式)。
+ * @return {Object} { user, issuedAt }
+ */
+function _requireAdmin(adminToken) {
+    if (!adminToken) throw new Error(ADMIN_AUTH_ERROR);
+    const cache = CacheService.getScriptCache();
+    const key = ADMIN_SESSION_CACHE_PREFIX + adminToken;
+    const raw = cache.get(key);
+    if (!raw) throw new Error(ADMIN_AUTH_ERROR);
+    cache.put(key, raw, ADMIN_SESSION_TTL_SEC);
+    return JSON.parse(raw);
+}
+
+/**
+ * 実行ユーザーのメールアドレス (取得できない環境では空文字)
+ */
+function _getActiveUserEmail() {
+    try {
+        return Session.getActiveUser().getEmail() || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * SHA-256 ハッシュ (16進文字列)
+ */
+function _digestHex(str) {
+    const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, str, Utilities.Charset.UTF_8);
+    return bytes.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+}
+
+/**
+ * シートの見出し行を不足分だけ補う (旧フォーマットのシートとの互換用)
+ */
+function _ensureHeader(sheet, header) {
+    if (sheet.getLastColumn() < header.length) {
+        sheet.getRange(1, 1, 1, header.length).setValues([header]);
+    }
+}
+
+let _scriptLockDepth = 0;
+
+/**
+ * スクリプトロックを取得して fn を実行する
+ * シートの読み込み→書き込みを他の実行 (同時に提出した受験者など) と直列化し、更新の取りこぼしを防ぐ。
+ * 入れ子で呼ばれた場合は外側のロックをそのまま使う。
+ */
+function _withScriptLock(fn) {
+    if (_scriptLockDepth > 0) return fn();
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(SCRIPT_LOCK_TIMEOUT_MS)) {
+        throw new Error('サーバーが混み合っています。しばらくしてから再度お試しください。');
+    }
+    _scriptLockDepth++;
+    try {
+        return fn();
+    } finally {
+        _scriptLockDepth--;
+        // 書き込みを確定させてから他の実行に渡す
+        SpreadsheetApp.flush();
+        lock.releaseLock();
+    }
+}
 
-        // 列数が不足している場合は追加 (Col 9: IsPublished まで必要)
-        const currentMaxCols = sheet.getMaxColumns();
-        if (currentMaxCols < 9) {
-            sheet.insertColumnsAfter(currentMaxCols, 9 - currentMaxCols);
+/**
+ * 公開中の問題・パターン名のキャッシュ (CacheService)
+ * 書き込みのたびにリビジョンを変えるため、書き込み前に読み込んだ古い値が後からキャッシュされても参照されない。
+ * @param {string} name - キャッシュする値の名前
+ * @param {Function} loader - キャッシュにない場合に値を読み込む関数
+ */
+function _getPublishedCache(name, loader) {
+    const cache = CacheService.getScriptCache();
+    let rev = cache.get(PUBLISHED_CACHE_REV_KEY);
+    if (!rev) {
+        rev = Utilities.getUuid().slice(0, 8);
+        cache.put(PUBLISHED_CACHE_REV_KEY, rev, DATA_CACHE_TTL_SEC);
+    }
+    const key = `published_${rev}_${name}`;
+    const hit = cache.get(key);
+    if (hit !== null) {
+        try {
+            return JSON.parse(hit);
+        } catch (e) {
+            console.warn('Broken cache entry', key, e);
         }
+    }
+    const value = loader();
+    try {
+        cache.put(key, JSON.stringify(value), DATA_CACHE_TTL_SEC);
+    } catch (e) {
+        // 100KB を超える値はキャッシュできないので、毎回シートから読む
+        console.warn('Cache put skipped', key, e);
+    }
+    return value;
+}
+
+function _invalidatePublishedCache() {
+    CacheService.getScriptCache().put(PUBLISHED_CACHE_REV_KEY, Utilities.getUuid().slice(0, 8), DATA_CACHE_TTL_SEC);
+}
+
+/**
+ * 試験設定の正規化
+ * @param {Object} settings - { durationMinutes, opensAt, closesAt, latePolicy, drawRules, shuffleQuestions, shuffleChoices,
+ *                             requireRoster, maxAttempts, attemptPolicy }
+ */
+function _normalizeExamSettings(settings) {
+    const s = settings || {};
+    const toIso = (v) => {
+        if (!v) return '';
+        const d = new Date(v);
+        return isNaN(d.getTime()) ? '' : d.toISOString();
+    };
+    return {
+        durationMinutes: Math.max(0, Math.floor(Number(s.durationMinutes) || 0)), // 0 = 制限なし
+        opensAt: toIso(s.opensAt),
+        closesAt: toIso(s.closesAt),
+        latePolicy: s.latePolicy === 'reject' ? 'reject' : 'flag',
+        drawRules: _normalizeDrawRules(s.drawRules), // 問題バンクからの抽出ルール
+        shuffleQuestions: s.shuffleQuestions === true, // 問題 (と許可された小問) の順序を受験者ごとに入れ替える
+        shuffleChoices: s.shuffleChoices === true,     // 選択肢の順序を受験者ごとに入れ替える
+        requireRoster: s.requireRoster === true,       // 名簿の学籍番号 + PIN (またはアクセスコード) で受験する
+        maxAttempts: Math.max(0, Math.floor(Number(s.maxAttempts) || 0)), // 0 = 制限なし
+        attemptPolicy: ATTEMPT_POLICIES.indexOf(s.attemptPolicy) >= 0 ? s.attemptPolicy : 'best'
+    };
+}
+
+/**
+ * 公開中の試験設定を取得 (内部用)
+ */
+function _getExamSettings() {
+    const raw = PropertiesService.getScriptProperties().getProperty(SCRIPT_PROP_KEY_EXAM_SETTINGS);
+    try {
+        return _normalizeExamSettings(raw ? JSON.parse(raw) : null);
+    } catch (e) {
+        console.warn('Invalid exam settings', e);
+        return _normalizeExamSettings(null);
+    }
+}
+
+/**
+ * 公開中の試験設定を取得 (受験画面用)
+ * 受験者の端末時計のずれを補正できるようサーバー時刻を添える。
+ */
+function getExamSettings() {
+    return Object.assign(_getExamSettings(), { serverNow: new Date().toISOString() });
+}
+
+/**
+ * 問題データの保存 (管理画面用) -- 公開(Deploy)処理
+ * @param {string} adminToken - 管理者トークン
+ * @param {Array} questions - フロントエンドから送信された問題リスト
+ * @param {string} patternTitle - (Optional) 適用するパターン名
+ * @param {Object} settings - (Optional) 試験設定。未指定の場合は現在の設定を維持
+ */
+function saveQuestions(adminToken, questions, patternTitle, settings) {
+    _requireAdmin(adminToken);
+    return _saveQuestions(questions, patternTitle, settings);
+}
+
+/**
+ * Questionsシートへの書き込み (認証済みの呼び出し元から使用)
+ */
+function _saveQuestions(questions, patternTitle, settings) {
+    try {
+        return _withScriptLock(() => _writeQuestions(questions, patternTitle, settings));
+    } catch (e) {
+        console.error(e);
+        return { success: false, message: '保存エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * Questionsシートと公開中のパターン名・試験設定の書き換え (_saveQuestions がロックを取得して呼ぶ)
+ */
+function _writeQuestions(questions, patternTitle, settings) {
+    const ssId = _getSpreadsheetId();
+    const ss = SpreadsheetApp.openById(ssId);
+    let sheet = ss.getSheetByName(SHEET_NAME_QUESTIONS);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_QUESTIONS);
+    }
+
+    // 保存されたパターン名をプロパティに記録 (Examinee表示用)
+    const props = PropertiesService.getScriptProperties();
+    if (patternTitle) {
+        props.setProperty('CURRENT_PATTERN_TITLE', patternTitle);
+    } else if (patternTitle === '') {
+        props.deleteProperty('CURRENT_PATTERN_TITLE');
+    }
+    // patternTitleが未指定(undefined)の場合は、既存の値を維持するか、"Custom"とするか。
+    // ここでは更新しない(=維持)戦略をとるが、明示的にnull/emptyが渡されたら消す。
 
-        const header = ['ID', 'Text', 'Image URL', 'Points', 'Criteria', 'SubQuestionsJSON', 'ModelAnswer', 'ReferenceDiagramId', 'IsPublished'];
-        sheet.appendRow(header);
+    // 試験設定 (制限時間・受験期間) も同様に、指定があれば更新
+    if (settings) {
+        props.setProperty(SCRIPT_PROP_KEY_EXAM_SETTINGS, JSON.stringify(_normalizeExamSettings(settings)));
+    } else if (patternTitle === '') {
+        props.deleteProperty(SCRIPT_PROP_KEY_EXAM_SETTINGS);
+    }
+
+    // 既存データをクリアしてヘッダーを設定
+    sheet.clear();
+
+    // 列数が不足している場合は追加 (Col 10: AttributesJSON まで必要)
+    const currentMaxCols = sheet.getMaxColumns();
+    if (currentMaxCols < QUESTIONS_HEADER.length) {
+        sheet.insertColumnsAfter(currentMaxCols, QUESTIONS_HEADER.length - currentMaxCols);
+    }
 
-        // データ書き込み
-        if (questions && questions.length > 0) {
-            const rows = questions.map(q => [
+    sheet.appendRow(QUESTIONS_HEADER);
+
+    // データ書き込み
+    if (questions && questions.length > 0) {
+        const rows = questions.map(q => {
+            // 固定列以外の属性 (解答形式・選択肢など) はまとめてJSONで保存
+            const { id, text, imageUrl, points, criteria, subQuestions, modelAnswer, referenceDiagramId, isPublished, ...attributes } = q;
+            return [
                 q.id,
                 q.text,
                 q.imageUrl || '',
@@ -79,17 +482,16 @@ function saveQuestions(questions, patternTitle) {
                 q.subQuestions ? JSON.stringify(q.subQuestions) : '',
                 q.modelAnswer || '',
                 q.referenceDiagramId || '',
-                (q.isPublished === false) ? 'FALSE' : 'TRUE' // Explicitly save as string to prevent type ambiguity
-            ]);
-            sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
-        }
-
-        SpreadsheetApp.flush();
-        return { success: true, message: '問題を保存・公開しました。' };
-    } catch (e) {
-        console.error(e);
-        return { success: false, message: '保存エラー: ' + e.toString() };
+                (q.isPublished === false) ? 'FALSE' : 'TRUE', // Explicitly save as string to prevent type ambiguity
+                Object.keys(attributes).length > 0 ? JSON.stringify(attributes) : ''
+            ];
+        });
+        sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
     }
+
+    _invalidatePublishedCache();
+    SpreadsheetApp.flush();
+    return { success: true, message: '問題を保存・公開しました。' };
 }
 
 /**
@@ -97,109 +499,192 @@ function saveQuestions(questions, patternTitle) {
  */
 function getDeployedPatternTitle() {
     try {
-        const props = PropertiesService.getScriptProperties();
-        return props.getProperty('CURRENT_PATTERN_TITLE') || '';
+        return _getCurrentPatternTitle();
     } catch (e) {
         console.error(e);
         return '';
     }
 }
 
+function _getCurrentPatternTitle() {
+    return _getPublishedCache('patternTitle', () => PropertiesService.getScriptProperties().getProperty('CURRENT_PATTERN_TITLE') || '');
+}
+
 /**
  * パターンの保存
+ * 保存のたびに PatternVersions シートへ新しい版を追記する。
+ * @param {string} adminToken - 管理者トークン
  * @param {string} title - パターン名
  * @param {Array} questions - 問題リスト
+ * @param {Object} settings - (Optional) 試験設定 { durationMinutes, opensAt, closesAt, latePolicy }
  */
-function savePattern(title, questions) {
+function savePattern(adminToken, title, questions, settings) {
+    const admin = _requireAdmin(adminToken);
     try {
         if (!title) throw new Error('タイトルが空です。');
+        return _writePattern(title, questions, settings, admin.user, '');
+    } catch (e) {
+        console.error(e);
+        return { success: false, message: '保存エラー: ' + e.toString() };
+    }
+}
 
-        const ssId = _getSpreadsheetId();
-        const ss = SpreadsheetApp.openById(ssId);
-        let sheet = ss.getSheetByName(SHEET_NAME_PATTERNS);
-        if (!sheet) {
-            sheet = ss.insertSheet(SHEET_NAME_PATTERNS);
-            sheet.appendRow(['Title', 'QuestionsJSON', 'UpdatedAt']); // Header
-        }
-
-        const data = sheet.getDataRange().getValues();
-        let rowIndex = -1;
-
-        // 既存タイトルの検索 (2行目以降)
-        for (let i = 1; i < data.length; i++) {
-            if (String(data[i][0]) === String(title)) {
-                rowIndex = i + 1; // 1-based index
-                break;
-            }
-        }
+/**
+ * Patterns シートへの書き込みと版の記録 (savePattern / restorePatternVersion で共通)
+ */
+function _writePattern(title, questions, settings, author, note) {
+    return _withScriptLock(() => {
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const sheet = _getPatternsSheet(ss);
+        const rowIndex = _findPatternRow(sheet, title);
 
         const jsonStr = JSON.stringify(questions);
+        const settingsStr = JSON.stringify(_normalizeExamSettings(settings));
         const timestamp = new Date();
 
+        const versionSheet = _getPatternVersionsSheet(ss);
+        let latest = _latestPatternVersion(versionSheet, title);
+        if (rowIndex > 0 && latest === 0) {
+            // 版管理の導入前に保存されたパターンは、上書きされる前の内容を最初の版として残す
+            const current = sheet.getRange(rowIndex, 1, 1, 4).getValues()[0];
+            versionSheet.appendRow([title, 1, current[2] || timestamp, '', current[1], current[3] || '', '(版管理導入前の内容)']);
+            latest = 1;
+        }
+        const version = latest + 1;
+        versionSheet.appendRow([title, version, timestamp, author || '', jsonStr, settingsStr, note || '']);
+
         if (rowIndex > 0) {
-            // 上書き
-            sheet.getRange(rowIndex, 2).setValue(jsonStr);
-            sheet.getRange(rowIndex, 3).setValue(timestamp);
-            SpreadsheetApp.flush();
-            return { success: true, message: `パターン「${title}」を更新しました。` };
-        } else {
-            // 新規追加
-            sheet.appendRow([title, jsonStr, timestamp]);
+            // 上書き (削除済みだった場合は復元される)
+            sheet.getRange(rowIndex, 2, 1, 4).setValues([[jsonStr, timestamp, settingsStr, '']]);
             SpreadsheetApp.flush();
-            return { success: true, message: `パターン「${title}」を保存しました。` };
+            return { success: true, version: version, message: `パターン「${title}」を更新しました。(版 ${version})` };
         }
+        // 新規追加
+        sheet.appendRow([title, jsonStr, timestamp, settingsStr, '']);
+        SpreadsheetApp.flush();
+        return { success: true, version: version, message: `パターン「${title}」を保存しました。` };
+    });
+}
 
-    } catch (e) {
-        console.error(e);
-        return { success: false, message: '保存エラー: ' + e.toString() };
+function _getPatternsSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_PATTERNS);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_PATTERNS);
+        sheet.appendRow(PATTERNS_HEADER); // Header
+    }
+    _ensureHeader(sheet, PATTERNS_HEADER);
+    return sheet;
+}
+
+function _getPatternVersionsSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_PATTERN_VERSIONS);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_PATTERN_VERSIONS);
+        sheet.appendRow(PATTERN_VERSIONS_HEADER);
     }
+    return sheet;
 }
 
 /**
- * 保存済みパターンのリスト取得
+ * タイトルに一致する行番号 (1-based, 見つからない場合は -1)
  */
-function getPatternList() {
-    try {
-        const ssId = _getSpreadsheetId();
-        const ss = SpreadsheetApp.openById(ssId);
-        const sheet = ss.getSheetByName(SHEET_NAME_PATTERNS);
-        if (!sheet) return [];
+function _findPatternRow(sheet, title) {
+    // 問題 JSON の列は大きいので、タイトル列だけを読む
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return -1;
+    const titles = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+    for (let i = 0; i < titles.length; i++) {
+        if (String(titles[i][0]) === String(title)) return i + 2;
+    }
+    return -1;
+}
 
-        const lastRow = sheet.getLastRow();
-        if (lastRow < 2) return [];
+function _latestPatternVersion(versionSheet, title) {
+    const data = versionSheet.getDataRange().getValues();
+    let latest = 0;
+    for (let i = 1; i < data.length; i++) {
+        if (String(data[i][0]) === String(title)) latest = Math.max(latest, Number(data[i][1]) || 0);
+    }
+    return latest;
+}
 
-        // Title列(A列)とUpdatedAt列(C列)のみ取得
-        const data = sheet.getRange(2, 1, lastRow - 1, 3).getValues();
-        return data.map(row => ({
-            title: String(row[0]),
-            updatedAt: row[2] ? new Date(row[2]).toISOString() : ''
-        }));
+/**
+ * 保存済みパターンのリスト取得 (削除済みは除く)
+ */
+function getPatternList(adminToken) {
+    _requireAdmin(adminToken);
+    try {
+        return _listPatterns(false);
     } catch (e) {
         console.error('getPatternList Error:', e);
         return [];
     }
 }
 
+/**
+ * 削除済みパターンのリスト取得 (復元用)
+ */
+function getDeletedPatterns(adminToken) {
+    _requireAdmin(adminToken);
+    try {
+        return _listPatterns(true);
+    } catch (e) {
+        console.error('getDeletedPatterns Error:', e);
+        return [];
+    }
+}
+
+function _listPatterns(deleted) {
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    const sheet = ss.getSheetByName(SHEET_NAME_PATTERNS);
+    if (!sheet) return [];
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return [];
+
+    // QuestionsJSON は大きいため読まずに、Title / UpdatedAt / DeletedAt を参照する
+    const numCols = Math.min(PATTERNS_HEADER.length, sheet.getMaxColumns());
+    const titles = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+    const rest = sheet.getRange(2, 3, lastRow - 1, numCols - 2).getValues();
+    const result = [];
+    titles.forEach((row, i) => {
+        const deletedAt = rest[i][2] || '';
+        if (!!deletedAt !== deleted) return;
+        result.push({
+            title: String(row[0]),
+            updatedAt: rest[i][0] ? new Date(rest[i][0]).toISOString() : '',
+            deletedAt: deletedAt ? new Date(deletedAt).toISOString() : ''
+        });
+    });
+    return result;
+}
+
 /**
  * 特定パターンの読み込み
  */
-function getPattern(title) {
+function getPattern(adminToken, title) {
+    _requireAdmin(adminToken);
+    return _getPattern(title);
+}
+
+/**
+ * パターンの読み込み (認証済みの呼び出し元から使用)
+ * 削除済みのパターンは見つからないものとして扱う。
+ */
+function _getPattern(title) {
     try {
         const ssId = _getSpreadsheetId();
         const ss = SpreadsheetApp.openById(ssId);
         const sheet = ss.getSheetByName(SHEET_NAME_PATTERNS);
         if (!sheet) throw new Error('Pattern sheet not found');
 
-        const data = sheet.getDataRange().getValues();
-        // 2行目以降を検索
-        for (let i = 1; i < data.length; i++) {
-            if (String(data[i][0]) === String(title)) {
-                const jsonStr = data[i][1];
-                const questions = JSON.parse(jsonStr);
-                return { success: true, questions: questions };
-            }
-        }
-        return { success: false, message: 'パターンが見つかりませんでした。' };
+        const rowIndex = _findPatternRow(sheet, title);
+        const row = rowIndex > 0 ? sheet.getRange(rowIndex, 1, 1, PATTERNS_HEADER.length).getValues()[0] : null;
+        if (!row || row[4]) return { success: false, message: 'パターンが見つかりませんでした。' };
+
+        const questions = JSON.parse(row[1]);
+        const settings = _normalizeExamSettings(row[3] ? JSON.parse(row[3]) : null);
+        return { success: true, questions: questions, settings: settings };
     } catch (e) {
         console.error(e);
         return { success: false, message: '読み込みエラー: ' + e.toString() };
@@ -207,613 +692,5488 @@ function getPattern(title) {
 }
 
 /**
- * パターンの削除
+ * パターンの削除 (論理削除: DeletedAt を記録するだけで、restorePattern で元に戻せる)
+ */
+function deletePattern(adminToken, title) {
+    _requireAdmin(adminToken);
+    return _setPatternDeleted(title, true);
+}
+
+/**
+ * 削除したパターンの復元
  */
-function deletePattern(title) {
+function restorePattern(adminToken, title) {
+    _requireAdmin(adminToken);
+    return _setPatternDeleted(title, false);
+}
+
+function _setPatternDeleted(title, deleted) {
     try {
-        const ssId = _getSpreadsheetId();
-        const ss = SpreadsheetApp.openById(ssId);
-        const sheet = ss.getSheetByName(SHEET_NAME_PATTERNS);
-        if (!sheet) throw new Error('Pattern sheet not found');
+        return _withScriptLock(() => {
+            const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+            const sheet = ss.getSheetByName(SHEET_NAME_PATTERNS);
+            if (!sheet) throw new Error('Pattern sheet not found');
+            _ensureHeader(sheet, PATTERNS_HEADER);
+
+            const row = _findPatternRow(sheet, title);
+            if (row < 0) return { success: false, message: 'パターンが見つかりませんでした。' };
+            sheet.getRange(row, PATTERNS_HEADER.indexOf('DeletedAt') + 1).setValue(deleted ? new Date() : '');
+            return { success: true };
+        });
+    } catch (e) {
+        return { success: false, message: (deleted ? '削除エラー: ' : '復元エラー: ') + e.toString() };
+    }
+}
 
-        const data = sheet.getDataRange().getValues();
+/**
+ * パターンの版一覧 (新しい順)
+ * @return {Object} { success, versions: [{ version, savedAt, author, note, questionCount }] }
+ */
+function getPatternVersions(adminToken, title) {
+    _requireAdmin(adminToken);
+    try {
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const data = _getPatternVersionsSheet(ss).getDataRange().getValues();
+        const versions = [];
         for (let i = 1; i < data.length; i++) {
-            if (String(data[i][0]) === String(title)) {
-                sheet.deleteRow(i + 1);
-                return { success: true };
+            if (String(data[i][0]) !== String(title)) continue;
+            let questionCount = null;
+            try {
+                questionCount = JSON.parse(data[i][4]).length;
+            } catch (e) {
+                console.warn('Broken pattern version', title, data[i][1], e);
             }
+            versions.push({
+                version: Number(data[i][1]),
+                savedAt: data[i][2] ? new Date(data[i][2]).toISOString() : '',
+                author: String(data[i][3] || ''),
+                note: String(data[i][6] || ''),
+                questionCount: questionCount
+            });
         }
-        return { success: false, message: 'パターンが見つかりませんでした。' };
+        versions.sort((a, b) => b.version - a.version);
+        return { success: true, versions: versions };
     } catch (e) {
-        return { success: false, message: '削除エラー: ' + e.toString() };
+        console.error('getPatternVersions Error:', e);
+        return { success: false, message: '版一覧の取得エラー: ' + e.toString() };
     }
 }
 
 /**
- * パターンの公開 (Deploy)
- * 指定されたパターンの問題をQuestionsシートに展開し、現在の試験問題とする
+ * 特定の版の内容を取得
+ * @return {Object|null} { questions, settings }
  */
-function deployPattern(title) {
-    try {
-        // パターンを取得
-        const result = getPattern(title);
-        if (!result.success) {
-            return result;
+function _getPatternVersion(title, version) {
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    const data = _getPatternVersionsSheet(ss).getDataRange().getValues();
+    for (let i = 1; i < data.length; i++) {
+        if (String(data[i][0]) === String(title) && Number(data[i][1]) === Number(version)) {
+            return {
+                questions: JSON.parse(data[i][4]),
+                settings: _normalizeExamSettings(data[i][5] ? JSON.parse(data[i][5]) : null)
+            };
         }
-
-        // 取得した問題を保存（これを現在の問題とする）
-        // saveQuestions内部で CURRENT_PATTERN_TITLE の更新も行われる
-        return saveQuestions(result.questions, title);
-
-    } catch (e) {
-        return { success: false, message: '公開エラー: ' + e.toString() };
     }
+    return null;
 }
 
 /**
- * 問題データの取得 (受験画面用)
- * @param {boolean} includeHidden - 非公開問題も含めるかどうか (Admin用)
+ * 2つの版の問題単位の差分
+ * @return {Object} { success, diff: [{ id, subQuestionId, label, change: 'added'|'removed'|'changed', fields: [{ field, before, after }] }] }
  */
-function getQuestions(includeHidden) {
+function diffPatternVersions(adminToken, title, fromVersion, toVersion) {
+    _requireAdmin(adminToken);
     try {
-        const ssId = _getSpreadsheetId();
-        const ss = SpreadsheetApp.openById(ssId);
-        const sheet = ss.getSheetByName(SHEET_NAME_QUESTIONS);
-
-        if (!sheet) return []; // シートがない場合は空リスト
-
-        const lastRow = sheet.getLastRow();
-        if (lastRow < 2) return []; // データがない場合
-
-        // 9列目まで取得 (Col I: IsPublished)
-        const maxCols = sheet.getMaxColumns();
-        const numColsToGet = Math.min(9, maxCols);
+        const from = _getPatternVersion(title, fromVersion);
+        const to = _getPatternVersion(title, toVersion);
+        if (!from || !to) return { success: false, message: '指定された版が見つかりませんでした。' };
+        return { success: true, diff: _diffQuestions(from.questions, to.questions) };
+    } catch (e) {
+        console.error('diffPatternVersions Error:', e);
+        return { success: false, message: '差分の取得エラー: ' + e.toString() };
+    }
+}
 
-        const data = sheet.getRange(2, 1, lastRow - 1, numColsToGet).getValues();
+function _diffQuestions(before, after) {
+    // 問題と小問をそれぞれ比較単位として ID で対応付ける
+    const flatten = (questions) => {
+        const items = [];
+        questions.forEach((q, qIdx) => {
+            items.push({ key: String(q.id), id: q.id, subQuestionId: null, label: `Q${qIdx + 1}`, item: q });
+            (q.subQuestions || []).forEach((sq, sIdx) => {
+                items.push({ key: `${q.id}/${sq.id}`, id: q.id, subQuestionId: sq.id, label: `Q${qIdx + 1}-${sIdx + 1}`, item: sq });
+            });
+        });
+        return items;
+    };
+    const beforeItems = flatten(before);
+    const afterItems = flatten(after);
+    const beforeMap = {};
+    beforeItems.forEach(x => { beforeMap[x.key] = x; });
+    const afterKeys = {};
+    afterItems.forEach(x => { afterKeys[x.key] = true; });
 
-        // オブジェクト配列に変換
-        const questions = data.map(row => {
-            let subQuestions = [];
-            if (row.length >= 6 && row[5]) {
-                try {
-                    subQuestions = JSON.parse(row[5]);
-                } catch (e) {
-                    console.warn("Failed to parse subQuestions JSON", e);
-                }
+    const diff = [];
+    afterItems.forEach(x => {
+        const old = beforeMap[x.key];
+        if (!old) {
+            diff.push({ id: x.id, subQuestionId: x.subQuestionId, label: x.label, change: 'added', fields: [] });
+            return;
+        }
+        const fields = PATTERN_DIFF_FIELDS
+            .filter(f => _diffFieldValue(f, old.item) !== _diffFieldValue(f, x.item))
+            .map(f => ({ field: f, before: _diffFieldValue(f, old.item), after: _diffFieldValue(f, x.item) }));
+        if (fields.length > 0) {
+            diff.push({ id: x.id, subQuestionId: x.subQuestionId, label: x.label, change: 'changed', fields: fields });
+        }
+    });
+    beforeItems.forEach(x => {
+        if (!afterKeys[x.key]) {
+            diff.push({ id: x.id, subQuestionId: x.subQuestionId, label: x.label, change: 'removed', fields: [] });
+        }
+    });
+    return diff;
+}
+
+/**
+ * 差分比較用の文字列 (採点項目は「内容 (配点)」の行に変換)
+ */
+function _diffFieldValue(field, item) {
+    if (field === 'rubric') return _rubricOf(item).map(r => `${r.text} (${r.points}点)`).join('\n');
+    return String(item[field] === undefined || item[field] === null ? '' : item[field]);
+}
+
+/**
+ * 過去の版を復元 (復元した内容を新しい版として保存する)
+ */
+function restorePatternVersion(adminToken, title, version) {
+    const admin = _requireAdmin(adminToken);
+    try {
+        const target = _getPatternVersion(title, version);
+        if (!target) return { success: false, message: '指定された版が見つかりませんでした。' };
+        const result = _writePattern(title, target.questions, target.settings, admin.user, `版 ${version} から復元`);
+        if (result.success) {
+            result.message = `パターン「${title}」を版 ${version} の内容に戻しました。(版 ${result.version})`;
+        }
+        return result;
+    } catch (e) {
+        console.error('restorePatternVersion Error:', e);
+        return { success: false, message: '復元エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * パターンの書き出し (JSON / CSV / Moodle XML / GIFT)
+ * @param {string} adminToken - 管理者トークン
+ * @param {string} title - パターン名
+ * @param {string} format - 'json' | 'csv' | 'moodle' | 'gift'
+ * @return {Object} { success, filename, mimeType, content, warnings }
+ */
+function exportPattern(adminToken, title, format) {
+    _requireAdmin(adminToken);
+    try {
+        const spec = EXPORT_FORMATS[format];
+        if (!spec) throw new Error('未対応の形式です: ' + format);
+        const pattern = _getPattern(title);
+        if (!pattern.success) return pattern;
+
+        const warnings = [];
+        let content;
+        if (format === 'json') {
+            content = JSON.stringify({
+                format: PATTERN_EXPORT_FORMAT_ID,
+                title: title,
+                exportedAt: new Date().toISOString(),
+                settings: pattern.settings,
+                questions: pattern.questions
+            }, null, 2);
+        } else if (format === 'csv') {
+            content = _exportCsv(pattern.questions);
+        } else if (format === 'moodle') {
+            content = _exportMoodleXml(title, pattern.questions, warnings);
+        } else {
+            content = _exportGift(title, pattern.questions, warnings);
+        }
+
+        return { success: true, filename: _safeFilename(title, spec.extension), mimeType: spec.mimeType, content: content, warnings: warnings };
+    } catch (e) {
+        console.error('exportPattern Error:', e);
+        return { success: false, message: '書き出しエラー: ' + e.toString() };
+    }
+}
+
+/**
+ * ファイルの内容を問題リストに変換し、検証結果を返す (保存はしない)
+ * 取り込んだ問題はエディタで確認してから savePattern で保存する。
+ * @param {string} adminToken - 管理者トークン
+ * @param {string} format - 'json' | 'csv' | 'moodle' | 'gift'
+ * @param {string} content - ファイルの内容
+ * @return {Object} { success, questions, title, settings, report: { errors, warnings } }
+ */
+function importQuestions(adminToken, format, content) {
+    _requireAdmin(adminToken);
+    try {
+        const text = String(content || '').replace(/^\uFEFF/, ''); // Excel で保存した CSV の BOM
+        const warnings = [];
+        let parsed;
+        if (format === 'json') {
+            parsed = _importJson(text);
+        } else if (format === 'csv') {
+            parsed = { questions: _importCsv(text, warnings) };
+        } else if (format === 'moodle') {
+            parsed = { questions: _importMoodleXml(text, warnings) };
+        } else if (format === 'gift') {
+            parsed = { questions: _importGift(text, warnings) };
+        } else {
+            throw new Error('未対応の形式です: ' + format);
+        }
+
+        const questions = parsed.questions;
+        _assignMissingIds(questions, warnings);
+        const report = _validateQuestions(questions);
+        report.warnings = warnings.concat(report.warnings);
+        return {
+            success: true,
+            questions: questions,
+            title: parsed.title || '',
+            settings: parsed.settings || null,
+            report: report
+        };
+    } catch (e) {
+        console.error('importQuestions Error:', e);
+        return { success: false, message: '読み込みエラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 問題リストの検証 (配点の欠落・ID の重複・小問の形式など)
+ * @return {Object} { errors: [string], warnings: [string] }
+ */
+function _validateQuestions(questions) {
+    const errors = [];
+    const warnings = [];
+    if (!Array.isArray(questions) || questions.length === 0) {
+        errors.push('問題が1つもありません。');
+        return { errors: errors, warnings: warnings };
+    }
+
+    const checkItem = (item, label) => {
+        if (!String(item.text || '').trim()) errors.push(`${label}: 問題文がありません。`);
+        const points = item.points;
+        if (points === null || points === undefined || points === '' || !isFinite(Number(points))) {
+            errors.push(`${label}: 配点がありません。`);
+        } else if (Number(points) < 0) {
+            errors.push(`${label}: 配点が負の値です。`);
+        } else if (Number(points) === 0) {
+            warnings.push(`${label}: 配点が 0 点です。`);
+        }
+
+        const type = _questionType(item);
+        if (QUESTION_TYPES.indexOf(type) < 0) {
+            errors.push(`${label}: 不明な解答形式です (${type})。`);
+        } else if (type === 'single' || type === 'multiple') {
+            const ids = (item.choices || []).map(c => c.id);
+            const keys = item.correctKeys || [];
+            if (ids.length < 2) errors.push(`${label}: 選択肢が2つ以上必要です。`);
+            if (keys.length === 0) errors.push(`${label}: 正解の選択肢が指定されていません。`);
+            if (keys.some(k => ids.indexOf(k) < 0)) errors.push(`${label}: 正解に存在しない選択肢が含まれています。`);
+            if (type === 'single' && keys.length > 1) errors.push(`${label}: 単一選択なのに正解が複数あります。`);
+        } else if (type === 'truefalse') {
+            const keys = item.correctKeys || [];
+            if (keys.length !== 1 || (keys[0] !== 'true' && keys[0] !== 'false')) errors.push(`${label}: ○×式の正解が指定されていません。`);
+        } else if (type === 'numeric') {
+            const spec = item.numericAnswer || {};
+            if (!_parseQuantity(String(spec.value === undefined ? '' : spec.value))) errors.push(`${label}: 数値の正解が解釈できません。`);
+        } else {
+            const rubric = Array.isArray(item.rubric) ? item.rubric : [];
+            rubric.forEach((r, rIdx) => {
+                if (!r || !String(r.text || '').trim()) errors.push(`${label}: 採点項目 ${rIdx + 1} の内容がありません。`);
+                if (!r || !isFinite(Number(r.points)) || Number(r.points) <= 0) errors.push(`${label}: 採点項目 ${rIdx + 1} の配点が正しくありません。`);
+            });
+            const rubricTotal = _rubricOf(item).reduce((sum, r) => sum + r.points, 0);
+            if (rubric.length > 0 && isFinite(Number(points)) && rubricTotal !== Number(points)) {
+                warnings.push(`${label}: 採点項目の合計 (${rubricTotal} 点) が配点 (${Number(points)} 点) と一致しません。`);
+            }
+            if (rubric.length === 0 && !String(item.criteria || '').trim() && !String(item.modelAnswer || '').trim()) {
+                warnings.push(`${label}: 記述式ですが採点基準・模範解答がありません。`);
+            }
+        }
+    };
+
+    const seen = {};
+    questions.forEach((q, qIdx) => {
+        const label = `Q${qIdx + 1}`;
+        if (!q || typeof q !== 'object') {
+            errors.push(`${label}: 問題の形式が不正です。`);
+            return;
+        }
+        const id = String(q.id === undefined ? '' : q.id);
+        if (seen[id]) {
+            errors.push(`${label}: ID「${id}」が ${seen[id]} と重複しています。`);
+        } else {
+            seen[id] = label;
+        }
+
+        if (q.subQuestions !== undefined && q.subQuestions !== null && !Array.isArray(q.subQuestions)) {
+            errors.push(`${label}: 小問 (subQuestions) の形式が不正です。`);
+            return;
+        }
+        const subs = q.subQuestions || [];
+        if (subs.length === 0) {
+            checkItem(q, label);
+            return;
+        }
+        if (!String(q.text || '').trim()) warnings.push(`${label}: 親問題の問題文がありません。`);
+        const seenSub = {};
+        subs.forEach((sq, sIdx) => {
+            const subLabel = `${label}-${sIdx + 1}`;
+            if (!sq || typeof sq !== 'object') {
+                errors.push(`${subLabel}: 小問の形式が不正です。`);
+                return;
+            }
+            if (Array.isArray(sq.subQuestions) && sq.subQuestions.length > 0) {
+                errors.push(`${subLabel}: 小問の中に小問を入れることはできません。`);
+            }
+            const sid = String(sq.id === undefined ? '' : sq.id);
+            if (!sid) {
+                errors.push(`${subLabel}: 小問の ID がありません。`);
+            } else if (seenSub[sid]) {
+                errors.push(`${subLabel}: 小問 ID「${sid}」が ${seenSub[sid]} と重複しています。`);
+            } else {
+                seenSub[sid] = subLabel;
+            }
+            checkItem(sq, subLabel);
+        });
+    });
+    return { errors: errors, warnings: warnings };
+}
+
+/**
+ * ID のない問題・小問に ID を付与する
+ */
+function _assignMissingIds(questions, warnings) {
+    if (!Array.isArray(questions)) return;
+    const base = Date.now();
+    let assigned = 0;
+    questions.forEach((q, qIdx) => {
+        if (!q || typeof q !== 'object') return;
+        if (q.id === undefined || q.id === null || q.id === '') {
+            q.id = String(base + qIdx);
+            assigned++;
+        }
+        if (!Array.isArray(q.subQuestions)) return;
+        q.subQuestions.forEach((sq, sIdx) => {
+            if (sq && typeof sq === 'object' && (sq.id === undefined || sq.id === null || sq.id === '')) {
+                sq.id = `sq-${base}-${qIdx}-${sIdx}`;
+                assigned++;
+            }
+        });
+    });
+    if (assigned > 0) warnings.push(`ID のない問題・小問 ${assigned} 件に ID を付与しました。`);
+}
+
+/**
+ * 取り込み用の問題オブジェクト (エディタの新規問題と同じ項目をそろえる)
+ */
+function _newImportedItem(fields) {
+    return Object.assign({
+        id: '',
+        text: '',
+        imageUrl: '',
+        points: null,
+        criteria: '',
+        modelAnswer: '',
+        isPublished: true
+    }, fields);
+}
+
+// --- JSON ---
+
+function _importJson(text) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) return { questions: data };
+    if (data && Array.isArray(data.questions)) {
+        return { questions: data.questions, title: data.title || '', settings: data.settings || null };
+    }
+    throw new Error('JSON に questions 配列が見つかりません。');
+}
+
+// --- CSV (1行 = 1問題 or 1小問。ParentID がある行は小問) ---
+
+function _exportCsv(questions) {
+    const rows = [CSV_COLUMNS];
+    const toRow = (item, parentId) => {
+        const type = _questionType(item);
+        const choices = _choicesOf(item);
+        const keys = item.correctKeys || [];
+        let correct = '';
+        if (type === 'single' || type === 'multiple') {
+            correct = choices.map((c, i) => keys.indexOf(c.id) >= 0 ? String.fromCharCode(65 + i) : null).filter(Boolean).join(',');
+        } else if (type === 'truefalse') {
+            correct = keys[0] === 'true' ? 'TRUE' : (keys[0] === 'false' ? 'FALSE' : '');
+        }
+        const num = item.numericAnswer || {};
+        return [
+            item.id, parentId || '', type, item.text || '', item.points, item.criteria || '',
+            _joinCsvList(_rubricOf(item).map(r => `${r.text} (${r.points})`)),
+            item.modelAnswer || '',
+            (type === 'single' || type === 'multiple') ? _joinCsvList(choices.map(c => c.text)) : '',
+            correct,
+            type === 'numeric' ? num.value : '', type === 'numeric' ? (num.unit || '') : '',
+            type === 'numeric' ? (num.tolerance || '') : '', type === 'numeric' ? (num.relTolerance || '') : '',
+            parentId ? '' : (item.imageUrl || ''),
+            parentId ? '' : (item.isPublished === false ? 'FALSE' : 'TRUE')
+        ];
+    };
+    questions.forEach(q => {
+        rows.push(toRow(q, ''));
+        (q.subQuestions || []).forEach(sq => rows.push(toRow(sq, q.id)));
+    });
+    return rows.map(row => row.map(_csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function _csvCell(value) {
+    const s = (value === undefined || value === null) ? '' : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * 選択肢・採点項目の一覧を 1 つのセルにまとめる (項目内の | は \| にして区切りと区別する)
+ */
+function _joinCsvList(texts) {
+    return texts.map(t => String(t).replace(/\|/g, '\\|')).join(CSV_CHOICE_SEPARATOR);
+}
+
+/**
+ * _joinCsvList の逆。\| の付かない | で区切る (手入力の「A|B」もそのまま読める)
+ */
+function _splitCsvList(text) {
+    return text.split(/(?<!\\)\|/).map(s => s.replace(/\\\|/g, '|').trim());
+}
+
+/**
+ * 表計算ソフトで開く CSV のセル (受験者が入力した文字列が数式として実行されないよう、= + - @ で始まる文字列に ' を付ける)
+ * 問題の CSV は読み込み直せるよう _csvCell のまま出力する。
+ */
+function _spreadsheetCsvCell(value) {
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) return _csvCell("'" + value);
+    return _csvCell(value);
+}
+
+/**
+ * ダウンロードするファイル名 (パスに使えない文字・制御文字を除き、長さを制限する)
+ */
+function _safeFilename(baseName, extension) {
+    const safe = String(baseName).replace(/[\\/:*?"<>|\u0000-\u001f\u007f]/g, '_').replace(/^[.\s]+/, '').slice(0, 100);
+    return (safe || 'export') + '.' + extension;
+}
+
+function _importCsv(text, warnings) {
+    const rows = Utilities.parseCsv(text).filter(row => row.some(cell => String(cell).trim() !== ''));
+    if (rows.length < 2) throw new Error('CSV にデータ行がありません。');
+
+    const header = rows[0].map(h => String(h).trim().toLowerCase());
+    const col = {};
+    CSV_COLUMNS.forEach(name => { col[name] = header.indexOf(name.toLowerCase()); });
+    if (col.Text < 0) throw new Error('CSV に Text 列がありません。');
+    const get = (row, name) => col[name] >= 0 && row[col[name]] !== undefined ? String(row[col[name]]) : '';
+
+    const questions = [];
+    const byId = {};
+    const subRows = [];
+    rows.slice(1).forEach((row, i) => {
+        const line = i + 2;
+        const item = _itemFromCsvRow(row, get, line, warnings);
+        const parentId = get(row, 'ParentID').trim();
+        if (parentId) {
+            subRows.push({ parentId: parentId, item: item, line: line });
+            return;
+        }
+        item.imageUrl = get(row, 'ImageURL');
+        item.isPublished = get(row, 'IsPublished').trim().toUpperCase() !== 'FALSE';
+        item.subQuestions = [];
+        questions.push(item);
+        if (item.id) byId[item.id] = item;
+    });
+    subRows.forEach(s => {
+        const parent = byId[s.parentId];
+        if (!parent) {
+            warnings.push(`${s.line} 行目: 親問題「${s.parentId}」が見つからないため、独立した問題として読み込みました。`);
+            s.item.subQuestions = [];
+            questions.push(s.item);
+            return;
+        }
+        parent.subQuestions.push(s.item);
+    });
+    return questions;
+}
+
+function _itemFromCsvRow(row, get, line, warnings) {
+    const type = get(row, 'Type').trim().toLowerCase() || 'text';
+    const pointsRaw = get(row, 'Points').trim();
+    const item = _newImportedItem({
+        id: get(row, 'ID').trim(),
+        type: type,
+        text: get(row, 'Text'),
+        points: pointsRaw === '' ? null : Number(pointsRaw),
+        criteria: get(row, 'Criteria'),
+        modelAnswer: get(row, 'ModelAnswer')
+    });
+    // 採点項目: 「内容 (配点) | 内容 (配点)」
+    const rubricText = get(row, 'Rubric').trim();
+    if (rubricText && type === 'text') {
+        item.rubric = _splitCsvList(rubricText).filter(Boolean).map((s, k) => {
+            const m = s.match(/^(.*?)\s*\((-?[\d.]+)\)$/);
+            if (!m) warnings.push(`${line} 行目: 採点項目「${s}」に配点 (数値) がありません。`);
+            return { id: 'r' + (k + 1), text: m ? m[1] : s, points: m ? Number(m[2]) : null };
+        });
+    }
+    const correct = get(row, 'Correct').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    if (type === 'single' || type === 'multiple') {
+        const texts = _splitCsvList(get(row, 'Choices')).filter(s => s !== '');
+        item.choices = texts.map((t, i) => ({ id: 'c' + (i + 1), text: t }));
+        item.correctKeys = correct.map(letter => {
+            const idx = letter.charCodeAt(0) - 65;
+            if (letter.length !== 1 || idx < 0 || idx >= texts.length) {
+                warnings.push(`${line} 行目: 正解「${letter}」に対応する選択肢がありません。`);
+                return null;
+            }
+            return 'c' + (idx + 1);
+        }).filter(Boolean);
+    } else if (type === 'truefalse') {
+        item.correctKeys = correct.length > 0 ? [/^(TRUE|T|○|1)$/.test(correct[0]) ? 'true' : 'false'] : [];
+    } else if (type === 'numeric') {
+        const rel = get(row, 'NumericRelTolerance').trim();
+        item.numericAnswer = {
+            value: get(row, 'NumericValue').trim(),
+            unit: get(row, 'NumericUnit').trim(),
+            tolerance: get(row, 'NumericTolerance').trim(),
+            relTolerance: rel === '' ? 0 : Number(rel)
+        };
+    }
+    return item;
+}
+
+// --- Moodle XML ---
+// 小問は Moodle に対応する形式がないため、親問題の文章を添えた個別の問題として書き出す
+
+function _exportMoodleXml(title, questions, warnings) {
+    const out = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+    out.push(`  <question type="category"><category><text>${_xmlEscape('$course$/' + title)}</text></category></question>`);
+    _flattenForExport(questions, warnings).forEach(x => {
+        const item = x.item;
+        const type = _questionType(item);
+        const common = [
+            `    <name><text>${_xmlEscape(x.label)}</text></name>`,
+            `    <questiontext format="plain_text"><text>${_cdata(x.text)}</text></questiontext>`,
+            `    <generalfeedback format="plain_text"><text>${_cdata(item.modelAnswer || '')}</text></generalfeedback>`,
+            `    <defaultgrade>${Number(item.points) || 0}</defaultgrade>`,
+            `    <idnumber>${_xmlEscape(x.id)}</idnumber>`
+        ];
+        if (type === 'single' || type === 'multiple') {
+            const keys = item.correctKeys || [];
+            const nCorrect = Math.max(1, keys.length);
+            out.push('  <question type="multichoice">', ...common,
+                `    <single>${type === 'single' ? 'true' : 'false'}</single>`,
+                '    <shuffleanswers>0</shuffleanswers>',
+                '    <answernumbering>ABCD</answernumbering>');
+            _choicesOf(item).forEach(c => {
+                const fraction = keys.indexOf(c.id) >= 0 ? Math.round(100 / nCorrect * 100000) / 100000 : 0;
+                out.push(`    <answer fraction="${fraction}" format="plain_text"><text>${_cdata(c.text)}</text></answer>`);
+            });
+        } else if (type === 'truefalse') {
+            const correct = (item.correctKeys || [])[0];
+            out.push('  <question type="truefalse">', ...common,
+                `    <answer fraction="${correct === 'true' ? 100 : 0}"><text>true</text></answer>`,
+                `    <answer fraction="${correct === 'false' ? 100 : 0}"><text>false</text></answer>`);
+        } else if (type === 'numeric') {
+            const spec = _numericExportSpec(item, x.label, warnings);
+            out.push('  <question type="numerical">', ...common,
+                `    <answer fraction="100"><text>${spec.value}</text><tolerance>${spec.tolerance}</tolerance></answer>`);
+            if (spec.unit) {
+                out.push(`    <units><unit><multiplier>1</multiplier><unit_name>${_xmlEscape(spec.unit)}</unit_name></unit></units>`);
+            }
+        } else {
+            out.push('  <question type="essay">', ...common,
+                '    <responseformat>plain</responseformat>',
+                `    <graderinfo format="plain_text"><text>${_cdata(_criteriaWithRubric(item))}</text></graderinfo>`);
+        }
+        out.push('  </question>');
+    });
+    out.push('</quiz>');
+    return out.join('\n') + '\n';
+}
+
+function _importMoodleXml(text, warnings) {
+    const root = XmlService.parse(text).getRootElement();
+    if (root.getName() !== 'quiz') throw new Error('Moodle XML のルート要素 <quiz> が見つかりません。');
+
+    const questions = [];
+    root.getChildren('question').forEach((el, i) => {
+        const typeAttr = el.getAttribute('type');
+        const mtype = typeAttr ? typeAttr.getValue() : '';
+        if (mtype === 'category' || mtype === 'description') return;
+
+        const name = _moodleText(el.getChild('name')) || `Q${i + 1}`;
+        const gradeText = el.getChildText('defaultgrade');
+        const item = _newImportedItem({
+            id: String(el.getChildText('idnumber') || '').trim(),
+            text: _moodleText(el.getChild('questiontext')),
+            points: (gradeText === null || String(gradeText).trim() === '') ? null : Number(gradeText),
+            modelAnswer: _moodleText(el.getChild('generalfeedback')),
+            criteria: _moodleText(el.getChild('graderinfo'))
+        });
+        const answers = el.getChildren('answer').map(a => ({
+            text: _moodleText(a),
+            fraction: Number(a.getAttribute('fraction') ? a.getAttribute('fraction').getValue() : 0),
+            tolerance: a.getChildText('tolerance')
+        }));
+
+        if (mtype === 'multichoice') {
+            const single = String(el.getChildText('single') || 'true').trim() !== 'false';
+            item.type = single ? 'single' : 'multiple';
+            item.choices = answers.map((a, k) => ({ id: 'c' + (k + 1), text: a.text }));
+            item.correctKeys = answers.map((a, k) => a.fraction > 0 ? 'c' + (k + 1) : null).filter(Boolean);
+            if (single && item.correctKeys.length > 1) item.correctKeys = [item.correctKeys[0]];
+        } else if (mtype === 'truefalse') {
+            item.type = 'truefalse';
+            const correct = answers.find(a => a.fraction >= 100);
+            item.correctKeys = correct ? [/^true$/i.test(correct.text.trim()) ? 'true' : 'false'] : [];
+        } else if (mtype === 'numerical') {
+            item.type = 'numeric';
+            const correct = answers.find(a => a.fraction >= 100) || answers[0] || { text: '', tolerance: '' };
+            let unit = '';
+            const units = el.getChild('units');
+            if (units) {
+                const base = units.getChildren('unit').find(u => Number(u.getChildText('multiplier')) === 1);
+                if (base) unit = String(base.getChildText('unit_name') || '').trim();
+            }
+            item.numericAnswer = { value: correct.text.trim(), unit: unit, tolerance: String(correct.tolerance || '').trim(), relTolerance: 0 };
+        } else if (mtype === 'essay') {
+            item.type = 'text';
+        } else if (mtype === 'shortanswer') {
+            // 正答の候補を模範解答として、記述式 (AI採点) で取り込む
+            item.type = 'text';
+            if (!item.modelAnswer) item.modelAnswer = answers.filter(a => a.fraction > 0).map(a => a.text).join(' / ');
+            warnings.push(`${name}: 短答式 (shortanswer) は記述式として読み込みました。`);
+        } else {
+            warnings.push(`${name}: 未対応の問題形式「${mtype}」のため読み飛ばしました。`);
+            return;
+        }
+        questions.push(item);
+    });
+    return questions;
+}
+
+/**
+ * Moodle XML の <text> 要素の内容 (HTML の場合はタグを除いた文字列)
+ */
+function _moodleText(el) {
+    if (!el) return '';
+    const format = el.getAttribute('format') ? el.getAttribute('format').getValue() : 'html';
+    const raw = el.getChildText('text');
+    const text = raw === null ? '' : String(raw);
+    if (format !== 'html' && format !== 'moodle_auto_format') return text.trim();
+    return text
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>\s*/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * 採点基準に採点項目を書き添えた文字列 (採点項目に対応していない形式への書き出し用)
+ */
+function _criteriaWithRubric(item) {
+    const lines = _rubricOf(item).map(r => `- ${r.text} (${r.points}点)`);
+    return [item.criteria || ''].concat(lines.length > 0 ? ['採点項目:'].concat(lines) : []).filter(Boolean).join('\n');
+}
+
+function _xmlEscape(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function _cdata(value) {
+    return '<![CDATA[' + String(value || '').replace(/]]>/g, ']]]]><![CDATA[>') + ']]>';
+}
+
+// --- GIFT ---
+// Moodle が無視するコメント行 (// @electest {...}) に ID・配点・採点基準などを残し、このシステムでは往復できるようにする
+
+function _exportGift(title, questions, warnings) {
+    const out = [`// ${title}`, ''];
+    _flattenForExport(questions, warnings).forEach(x => {
+        const item = x.item;
+        const type = _questionType(item);
+        const meta = { id: x.id, points: Number(item.points) || 0 };
+        if (item.criteria) meta.criteria = item.criteria;
+        if (_rubricOf(item).length > 0) meta.rubric = item.rubric;
+
+        let answer;
+        if (type === 'single' || type === 'multiple') {
+            const keys = item.correctKeys || [];
+            const weight = Math.round(100 / Math.max(1, keys.length) * 100000) / 100000;
+            answer = _choicesOf(item).map(c => {
+                const correct = keys.indexOf(c.id) >= 0;
+                if (type === 'single') return (correct ? '=' : '~') + _giftEscape(c.text);
+                return '~' + (correct ? `%${weight}%` : '%0%') + _giftEscape(c.text);
+            }).join(' ');
+        } else if (type === 'truefalse') {
+            answer = (item.correctKeys || [])[0] === 'false' ? 'F' : 'T';
+        } else if (type === 'numeric') {
+            const spec = _numericExportSpec(item, x.label, warnings);
+            meta.numericAnswer = item.numericAnswer;
+            answer = `#${spec.value}:${spec.tolerance}`;
+        } else {
+            answer = '';
+        }
+        if (item.modelAnswer) answer += (answer ? ' ' : '') + '####' + _giftEscape(item.modelAnswer);
+
+        out.push('// @electest ' + JSON.stringify(meta));
+        out.push(`::${_giftEscape(x.label)}:: ${_giftEscape(x.text)} {${answer}}`);
+        out.push('');
+    });
+    return out.join('\n');
+}
+
+function _importGift(text, warnings) {
+    const questions = [];
+    const blocks = [];
+    let lines = [];
+    let meta = null;
+    const flush = () => {
+        if (lines.length > 0) blocks.push({ text: lines.join('\n'), meta: meta });
+        lines = [];
+        meta = null;
+    };
+    String(text).split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (trimmed === '') {
+            flush();
+        } else if (trimmed.indexOf('//') === 0) {
+            const m = trimmed.match(/^\/\/\s*@electest\s+(\{.*\})\s*$/);
+            if (m) {
+                try {
+                    meta = JSON.parse(m[1]);
+                } catch (e) {
+                    warnings.push('GIFT のメタ情報コメントを解釈できませんでした: ' + trimmed);
+                }
+            }
+        } else if (trimmed.indexOf('$CATEGORY:') !== 0) {
+            lines.push(line);
+        }
+    });
+    flush();
+
+    blocks.forEach((block, i) => {
+        const item = _parseGiftQuestion(block.text, warnings, i + 1);
+        if (!item) return;
+        const m = block.meta || {};
+        if (m.id !== undefined) item.id = String(m.id);
+        if (m.points !== undefined) item.points = Number(m.points);
+        if (m.criteria) item.criteria = m.criteria;
+        if (Array.isArray(m.rubric) && item.type === 'text') item.rubric = m.rubric;
+        if (m.numericAnswer && item.type === 'numeric') item.numericAnswer = m.numericAnswer;
+        questions.push(item);
+    });
+    return questions;
+}
+
+function _parseGiftQuestion(src, warnings, index) {
+    let body = src.trim();
+    let name = `Q${index}`;
+    const titleMatch = body.match(/^::((?:\\.|[^:])*)::/);
+    if (titleMatch) {
+        name = _giftUnescape(titleMatch[1]).trim();
+        body = body.slice(titleMatch[0].length);
+    }
+    const open = _giftFindUnescaped(body, '{', 0);
+    if (open < 0) {
+        warnings.push(`${name}: 解答欄 {...} がないため読み飛ばしました。`);
+        return null;
+    }
+    const close = _giftFindUnescaped(body, '}', open + 1);
+    if (close < 0) {
+        warnings.push(`${name}: 解答欄の閉じ括弧 } がないため読み飛ばしました。`);
+        return null;
+    }
+    const questionText = _giftUnescape((body.slice(0, open) + ' ' + body.slice(close + 1)).replace(/^\[[a-z]+\]/, '')).trim();
+    let answer = body.slice(open + 1, close);
+
+    const item = _newImportedItem({ text: questionText });
+    const feedbackAt = answer.indexOf('####');
+    if (feedbackAt >= 0) {
+        item.modelAnswer = _giftUnescape(answer.slice(feedbackAt + 4)).trim();
+        answer = answer.slice(0, feedbackAt);
+    }
+    answer = answer.trim();
+
+    if (answer === '') {
+        item.type = 'text';
+    } else if (/^(T|TRUE|F|FALSE)(\s*#.*)?$/i.test(answer)) {
+        item.type = 'truefalse';
+        item.correctKeys = [/^T/i.test(answer) ? 'true' : 'false'];
+    } else if (answer.charAt(0) === '#') {
+        item.type = 'numeric';
+        const first = answer.slice(1).split(/(?:^|\s)=/).filter(s => s.trim())[0] || '';
+        const spec = _giftStripFeedback(first).trim();
+        const range = spec.match(/^(-?[\d.eE+-]+)\.\.(-?[\d.eE+-]+)$/);
+        if (range) {
+            const lo = Number(range[1]);
+            const hi = Number(range[2]);
+            item.numericAnswer = { value: String((lo + hi) / 2), unit: '', tolerance: String(Math.abs(hi - lo) / 2), relTolerance: 0 };
+        } else {
+            const parts = spec.split(':');
+            item.numericAnswer = { value: parts[0].trim(), unit: '', tolerance: (parts[1] || '').trim(), relTolerance: 0 };
+        }
+    } else {
+        const options = _giftSplitOptions(answer);
+        if (options.some(o => o.text.indexOf('->') >= 0)) {
+            warnings.push(`${name}: 組み合わせ問題は未対応のため読み飛ばしました。`);
+            return null;
+        }
+        const hasWrong = options.some(o => o.marker === '~' && !(o.weight > 0));
+        if (!hasWrong && options.every(o => o.marker === '=')) {
+            // 正答だけが並ぶ短答式は記述式として取り込む
+            item.type = 'text';
+            if (!item.modelAnswer) item.modelAnswer = options.map(o => o.text).join(' / ');
+            warnings.push(`${name}: 短答式は記述式として読み込みました。`);
+        } else {
+            item.choices = options.map((o, k) => ({ id: 'c' + (k + 1), text: o.text }));
+            item.correctKeys = options.map((o, k) => (o.marker === '=' || o.weight > 0) ? 'c' + (k + 1) : null).filter(Boolean);
+            item.type = (item.correctKeys.length > 1 || options.some(o => o.weight !== null)) ? 'multiple' : 'single';
+        }
+    }
+    return item;
+}
+
+/**
+ * GIFT の選択肢 (=正解 / ~誤答 / ~%50%部分点) を分解する
+ */
+function _giftSplitOptions(answer) {
+    const options = [];
+    let current = null;
+    for (let i = 0; i < answer.length; i++) {
+        const ch = answer.charAt(i);
+        if (ch === '\\' && i + 1 < answer.length) {
+            if (current) current.raw += ch + answer.charAt(i + 1);
+            i++;
+            continue;
+        }
+        if (ch === '=' || ch === '~') {
+            current = { marker: ch, raw: '' };
+            options.push(current);
+            continue;
+        }
+        if (current) current.raw += ch;
+    }
+    return options.map(o => {
+        let raw = o.raw.trim();
+        let weight = null;
+        const w = raw.match(/^%(-?[\d.]+)%/);
+        if (w) {
+            weight = Number(w[1]);
+            raw = raw.slice(w[0].length);
+        }
+        return { marker: o.marker, weight: weight, text: _giftUnescape(_giftStripFeedback(raw)).trim() };
+    });
+}
+
+/**
+ * 選択肢ごとのフィードバック (#...) を取り除く
+ */
+function _giftStripFeedback(raw) {
+    const at = _giftFindUnescaped(raw, '#', 0);
+    return at >= 0 ? raw.slice(0, at) : raw;
+}
+
+function _giftFindUnescaped(text, ch, from) {
+    for (let i = from; i < text.length; i++) {
+        if (text.charAt(i) === '\\') {
+            i++;
+            continue;
+        }
+        if (text.charAt(i) === ch) return i;
+    }
+    return -1;
+}
+
+function _giftEscape(value) {
+    return String(value || '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+function _giftUnescape(value) {
+    return String(value || '').replace(/\\(n|[~=#{}:\\])/g, (m, c) => c === 'n' ? '\n' : c);
+}
+
+/**
+ * 小問を個別の問題に展開する (Moodle XML / GIFT 用)
+ */
+function _flattenForExport(questions, warnings) {
+    const items = [];
+    let hasSub = false;
+    questions.forEach((q, qIdx) => {
+        if (q.imageUrl) warnings.push(`Q${qIdx + 1}: 画像は書き出されません。`);
+        const subs = q.subQuestions || [];
+        if (subs.length === 0) {
+            items.push({ id: String(q.id), label: `Q${qIdx + 1}`, text: q.text || '', item: q });
+            return;
+        }
+        hasSub = true;
+        subs.forEach((sq, sIdx) => {
+            items.push({
+                id: `${q.id}/${sq.id}`,
+                label: `Q${qIdx + 1}-${sIdx + 1}`,
+                text: `${q.text || ''}\n\n(${sIdx + 1}) ${sq.text || ''}`,
+                item: sq
+            });
+        });
+    });
+    if (hasSub) warnings.push('小問は親問題の文章を添えた個別の問題として書き出しました。');
+    return items;
+}
+
+/**
+ * 数値問題の正解と許容誤差 (接頭語を展開した数値)
+ */
+function _numericExportSpec(item, label, warnings) {
+    const spec = item.numericAnswer || {};
+    const answer = _parseQuantity(String(spec.value === undefined ? '' : spec.value));
+    if (!answer) {
+        warnings.push(`${label}: 数値の正解を解釈できませんでした。`);
+        return { value: 0, tolerance: 0, unit: spec.unit || '' };
+    }
+    if (answer.angle !== null && answer.angle !== undefined) warnings.push(`${label}: 位相角は書き出されません (大きさのみ)。`);
+    const abs = spec.tolerance ? _parseQuantity(String(spec.tolerance)) : null;
+    const rel = Number(spec.relTolerance) || 0;
+    const tolerance = Math.max(abs ? Math.abs(abs.value) : 0, Math.abs(answer.value) * rel / 100);
+    return { value: answer.value, tolerance: tolerance, unit: spec.unit || answer.unit || '' };
+}
+
+/**
+ * パターンの公開 (Deploy)
+ * 指定されたパターンの問題をQuestionsシートに展開し、現在の試験問題とする
+ */
+function deployPattern(adminToken, title) {
+    _requireAdmin(adminToken);
+    try {
+        // パターンを取得
+        const result = _getPattern(title);
+        if (!result.success) {
+            return result;
+        }
+        const drawError = _checkDrawRules(result.questions, result.settings);
+        if (drawError) return { success: false, message: drawError };
+
+        // 取得した問題を保存（これを現在の問題とする）
+        // _saveQuestions内部で CURRENT_PATTERN_TITLE と試験設定の更新も行われる
+        return _saveQuestions(result.questions, title, result.settings);
+
+    } catch (e) {
+        return { success: false, message: '公開エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 公開中の試験の一覧 (既定の公開を先頭に含む)
+ * @return {Object} { success, deployments: [{ id, accessCode, pattern, status, settings, createdAt, updatedAt }] }
+ */
+function getDeployments(adminToken) {
+    _requireAdmin(adminToken);
+    try {
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const deployments = [_getDefaultDeployment()].concat(_readDeployments(ss)).map(d => ({
+            id: d.id,
+            accessCode: d.accessCode,
+            pattern: d.pattern,
+            status: d.status,
+            settings: d.settings,
+            createdAt: d.createdAt ? new Date(d.createdAt).toISOString() : '',
+            updatedAt: d.updatedAt ? new Date(d.updatedAt).toISOString() : ''
+        }));
+        return { success: true, deployments: deployments };
+    } catch (e) {
+        console.error('getDeployments Error:', e);
+        return { success: false, message: '公開一覧の取得エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * パターンをアクセスコード付きの試験として公開する
+ * 同じアクセスコードの公開が既にあれば、その内容を差し替える。
+ * @param {string} adminToken - 管理者トークン
+ * @param {string} title - パターン名
+ * @param {string} accessCode - (Optional) アクセスコード。空の場合は自動生成
+ */
+function createDeployment(adminToken, title, accessCode) {
+    _requireAdmin(adminToken);
+    try {
+        return _withScriptLock(() => {
+            const pattern = _getPattern(title);
+            if (!pattern.success) return pattern;
+            const drawError = _checkDrawRules(pattern.questions, pattern.settings);
+            if (drawError) return { success: false, message: drawError };
+
+            const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+            const sheet = _getDeploymentsSheet(ss);
+            const existing = _readDeployments(ss);
+            let code = _normalizeAccessCode(accessCode);
+            if (!code) {
+                do {
+                    code = _generateAccessCode();
+                } while (existing.some(d => d.accessCode === code));
+            }
+
+            const jsonStr = JSON.stringify(pattern.questions);
+            const settingsStr = JSON.stringify(_normalizeExamSettings(pattern.settings));
+            const now = new Date();
+            const same = existing.find(d => d.accessCode === code);
+            if (same) {
+                sheet.getRange(same.row, 3, 1, 6).setValues([[title, jsonStr, settingsStr, 'open', same.createdAt, now]]);
+                SpreadsheetApp.flush();
+                return { success: true, deploymentId: same.id, accessCode: code, message: `アクセスコード ${code} の試験を「${title}」に差し替えました。` };
+            }
+
+            const id = Utilities.getUuid();
+            sheet.appendRow([id, code, title, jsonStr, settingsStr, 'open', now, now]);
+            SpreadsheetApp.flush();
+            return { success: true, deploymentId: id, accessCode: code, message: `「${title}」をアクセスコード ${code} で公開しました。` };
+        });
+    } catch (e) {
+        console.error('createDeployment Error:', e);
+        return { success: false, message: '公開エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 公開の受付状態を切り替える
+ * @param {string} status - 'open' | 'closed'
+ */
+function setDeploymentStatus(adminToken, deploymentId, status) {
+    _requireAdmin(adminToken);
+    try {
+        return _withScriptLock(() => {
+            if (DEPLOYMENT_STATUSES.indexOf(status) < 0) throw new Error('不正な状態です: ' + status);
+            if (deploymentId === DEFAULT_DEPLOYMENT_ID) {
+                PropertiesService.getScriptProperties().setProperty(SCRIPT_PROP_KEY_DEFAULT_DEPLOYMENT_STATUS, status);
+                return { success: true, status: status };
+            }
+            const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+            const found = _readDeployments(ss).find(d => d.id === deploymentId);
+            if (!found) return { success: false, message: '公開が見つかりませんでした。' };
+            _getDeploymentsSheet(ss).getRange(found.row, 6, 1, 3).setValues([[status, found.createdAt, new Date()]]);
+            SpreadsheetApp.flush();
+            return { success: true, status: status };
+        });
+    } catch (e) {
+        console.error('setDeploymentStatus Error:', e);
+        return { success: false, message: '更新エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 公開の削除 (受験済みのセッションは問題のスナップショットを持つため採点・閲覧に影響しない)
+ */
+function removeDeployment(adminToken, deploymentId) {
+    _requireAdmin(adminToken);
+    try {
+        return _withScriptLock(() => {
+            if (deploymentId === DEFAULT_DEPLOYMENT_ID) throw new Error('既定の公開は削除できません。');
+            const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+            const found = _readDeployments(ss).find(d => d.id === deploymentId);
+            if (!found) return { success: false, message: '公開が見つかりませんでした。' };
+            _getDeploymentsSheet(ss).deleteRow(found.row);
+            return { success: true };
+        });
+    } catch (e) {
+        console.error('removeDeployment Error:', e);
+        return { success: false, message: '削除エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * アクセスコードに対応する試験の情報 (受験画面用, 問題は含まない)
+ * @param {string} accessCode - アクセスコード (空の場合は既定の公開)
+ */
+function lookupDeployment(accessCode) {
+    try {
+        const d = _resolveDeployment(accessCode);
+        if (!d) return { success: false, message: 'アクセスコードが正しくありません。' };
+        return {
+            success: true,
+            pattern: d.pattern,
+            status: d.status,
+            settings: Object.assign({}, d.settings, { serverNow: new Date().toISOString() })
+        };
+    } catch (e) {
+        console.error('lookupDeployment Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+function _getDeploymentsSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_DEPLOYMENTS);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_DEPLOYMENTS);
+        sheet.appendRow(DEPLOYMENTS_HEADER);
+    }
+    return sheet;
+}
+
+/**
+ * Deployments シートの全公開 (QuestionsJSON は必要になるまで解析しない)
+ */
+function _readDeployments(ss) {
+    const sheet = ss.getSheetByName(SHEET_NAME_DEPLOYMENTS);
+    if (!sheet || sheet.getLastRow() < 2) return [];
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, DEPLOYMENTS_HEADER.length).getValues();
+    return data.map((row, i) => {
+        let settings;
+        try {
+            settings = _normalizeExamSettings(row[4] ? JSON.parse(row[4]) : null);
+        } catch (e) {
+            console.warn('Invalid deployment settings', row[0], e);
+            settings = _normalizeExamSettings(null);
+        }
+        return {
+            row: i + 2,
+            id: String(row[0]),
+            accessCode: String(row[1]),
+            pattern: String(row[2] || ''),
+            questionsJson: row[3],
+            settings: settings,
+            status: DEPLOYMENT_STATUSES.indexOf(row[5]) >= 0 ? row[5] : 'open',
+            createdAt: row[6],
+            updatedAt: row[7]
+        };
+    });
+}
+
+/**
+ * 既定の公開 (Questions シート + CURRENT_PATTERN_TITLE / CURRENT_EXAM_SETTINGS)
+ */
+function _getDefaultDeployment() {
+    const props = PropertiesService.getScriptProperties();
+    return {
+        id: DEFAULT_DEPLOYMENT_ID,
+        accessCode: '',
+        pattern: _getCurrentPatternTitle(),
+        settings: _getExamSettings(),
+        status: props.getProperty(SCRIPT_PROP_KEY_DEFAULT_DEPLOYMENT_STATUS) || 'open',
+        createdAt: '',
+        updatedAt: ''
+    };
+}
+
+/**
+ * アクセスコードから公開を特定する (空なら既定の公開)
+ * @return {Object|null}
+ */
+function _resolveDeployment(accessCode) {
+    const code = _normalizeAccessCode(accessCode);
+    if (!code) return _getDefaultDeployment();
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    return _readDeployments(ss).find(d => d.accessCode === code) || null;
+}
+
+/**
+ * セッションが属する公開の試験設定 (見つからない場合は既定の公開の設定)
+ */
+function _getDeploymentSettings(deploymentId) {
+    if (deploymentId && deploymentId !== DEFAULT_DEPLOYMENT_ID) {
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const found = _readDeployments(ss).find(d => d.id === String(deploymentId));
+        if (found) return found.settings;
+    }
+    return _getExamSettings();
+}
+
+/**
+ * 公開されている問題セット (採点情報を含む)
+ */
+function _getDeploymentQuestions(deployment) {
+    if (deployment.id === DEFAULT_DEPLOYMENT_ID) return _getQuestions(true);
+    return JSON.parse(deployment.questionsJson);
+}
+
+function _normalizeAccessCode(code) {
+    return String(code || '').normalize('NFKC').replace(/\s+/g, '').toUpperCase();
+}
+
+function _generateAccessCode() {
+    let code = '';
+    for (let i = 0; i < ACCESS_CODE_LENGTH; i++) {
+        code += ACCESS_CODE_CHARS.charAt(Math.floor(Math.random() * ACCESS_CODE_CHARS.length));
+    }
+    return code;
+}
+
+// --- 問題バンク (タグ付きの問題を蓄積し、出題ルールで受験者ごとに抽出する) ---
+
+/**
+ * 問題バンクの一覧
+ * @param {string} adminToken - 管理者トークン
+ * @return {Object} { success, items: [{ id, tags, difficulty, question, updatedAt }], tags: [string] }
+ */
+function getQuestionBank(adminToken) {
+    _requireAdmin(adminToken);
+    try {
+        const items = _readQuestionBank();
+        const tags = {};
+        items.forEach(item => item.tags.forEach(t => { tags[t] = true; }));
+        return {
+            success: true,
+            items: items.map(item => ({
+                id: item.id,
+                tags: item.tags,
+                difficulty: item.difficulty,
+                question: item.question,
+                updatedAt: item.updatedAt
+            })),
+            tags: Object.keys(tags).sort()
+        };
+    } catch (e) {
+        console.error('getQuestionBank Error:', e);
+        return { success: false, message: '問題バンクの読み込みエラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 問題バンクへの登録・更新 (ID が一致する問題は上書き)
+ * @param {string} adminToken - 管理者トークン
+ * @param {Array} items - [{ tags, difficulty, question }] (question.id がバンク内の ID になる)
+ */
+function saveBankQuestions(adminToken, items) {
+    _requireAdmin(adminToken);
+    try {
+        return _withScriptLock(() => {
+            if (!Array.isArray(items) || items.length === 0) throw new Error('登録する問題がありません。');
+
+            const entries = items.map(item => {
+                const question = JSON.parse(JSON.stringify(item.question || {}));
+                if (!question.id) question.id = 'bank-' + Utilities.getUuid().slice(0, 8);
+                delete question.isPublished;
+                return { question: question, tags: _normalizeTags(item.tags), difficulty: _normalizeDifficulty(item.difficulty) };
+            });
+            const report = _validateQuestions(entries.map(e => e.question));
+            if (report.errors.length > 0) {
+                return { success: false, message: '登録できない問題があります:\n' + report.errors.join('\n') };
+            }
+
+            const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+            const sheet = _getQuestionBankSheet(ss);
+            const rowById = {};
+            _readQuestionBank(ss).forEach(item => { rowById[item.id] = item.row; });
+            const now = new Date();
+            let added = 0;
+            entries.forEach(e => {
+                const values = [e.question.id, e.tags.join(', '), e.difficulty || '', JSON.stringify(e.question), now];
+                if (rowById[e.question.id]) {
+                    sheet.getRange(rowById[e.question.id], 1, 1, values.length).setValues([values]);
+                } else {
+                    sheet.appendRow(values);
+                    rowById[e.question.id] = sheet.getLastRow();
+                    added++;
+                }
+            });
+            SpreadsheetApp.flush();
+            return { success: true, message: `問題バンクに ${added} 問を追加し、${entries.length - added} 問を更新しました。` };
+        });
+    } catch (e) {
+        console.error('saveBankQuestions Error:', e);
+        return { success: false, message: '問題バンクの保存エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 問題バンクから削除する
+ * 抽出済みの問題は受験者ごとのスナップショットに残るため、採点・結果表示には影響しない。
+ * @param {string} adminToken - 管理者トークン
+ * @param {Array} ids - 削除する問題の ID
+ */
+function deleteBankQuestions(adminToken, ids) {
+    _requireAdmin(adminToken);
+    try {
+        return _withScriptLock(() => {
+            const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+            const sheet = _getQuestionBankSheet(ss);
+            const targets = (ids || []).map(String);
+            // 下の行から削除して行番号のずれを防ぐ
+            const rows = _readQuestionBank(ss).filter(item => targets.indexOf(item.id) >= 0).map(item => item.row).sort((a, b) => b - a);
+            rows.forEach(row => sheet.deleteRow(row));
+            SpreadsheetApp.flush();
+            return { success: true, message: `${rows.length} 問を問題バンクから削除しました。` };
+        });
+    } catch (e) {
+        console.error('deleteBankQuestions Error:', e);
+        return { success: false, message: '問題バンクの削除エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 出題ルールごとの該当問題数 (出題ルール編集時の確認用)
+ * @param {string} adminToken - 管理者トークン
+ * @param {Array} rules - [{ tags, difficulty, count }]
+ * @return {Object} { success, rules: [{ tags, difficulty, count, available }] }
+ */
+function previewDrawRules(adminToken, rules) {
+    _requireAdmin(adminToken);
+    try {
+        const bank = _readQuestionBank();
+        return {
+            success: true,
+            rules: _normalizeDrawRules(rules).map(rule => Object.assign(rule, {
+                available: bank.filter(item => _matchesDrawRule(item, rule)).length
+            }))
+        };
+    } catch (e) {
+        console.error('previewDrawRules Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+function _getQuestionBankSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_QUESTION_BANK);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_QUESTION_BANK);
+        sheet.appendRow(QUESTION_BANK_HEADER);
+    }
+    return sheet;
+}
+
+/**
+ * 問題バンクの全件 (壊れた行は読み飛ばす)
+ * @return {Array} [{ row, id, tags, difficulty, question, updatedAt }]
+ */
+function _readQuestionBank(ss) {
+    const sheet = (ss || SpreadsheetApp.openById(_getSpreadsheetId())).getSheetByName(SHEET_NAME_QUESTION_BANK);
+    if (!sheet) return [];
+    const data = sheet.getDataRange().getValues();
+    const items = [];
+    for (let i = 1; i < data.length; i++) {
+        const id = String(data[i][0] || '');
+        if (!id) continue;
+        let question;
+        try {
+            question = JSON.parse(data[i][3]);
+        } catch (e) {
+            console.warn('Invalid bank question JSON', id, e);
+            continue;
+        }
+        question.id = id;
+        items.push({
+            row: i + 1,
+            id: id,
+            tags: _normalizeTags(data[i][1]),
+            difficulty: _normalizeDifficulty(data[i][2]),
+            question: question,
+            updatedAt: data[i][4] instanceof Date ? data[i][4].toISOString() : String(data[i][4] || '')
+        });
+    }
+    return items;
+}
+
+/**
+ * タグの正規化 (配列またはカンマ・読点区切りの文字列)
+ */
+function _normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,、，]/);
+    const seen = {};
+    return list
+        .map(t => String(t).normalize('NFKC').trim())
+        .filter(t => t && !seen[t] && (seen[t] = true));
+}
+
+/**
+ * 難易度の正規化 (DIFFICULTY_LEVELS のいずれか。未設定は null)
+ */
+function _normalizeDifficulty(value) {
+    const n = Number(value);
+    return DIFFICULTY_LEVELS.indexOf(n) >= 0 ? n : null;
+}
+
+/**
+ * 出題ルールの正規化 (出題数が 0 のルールは除く)
+ * @return {Array} [{ tags, difficulty, count }]
+ */
+function _normalizeDrawRules(rules) {
+    if (!Array.isArray(rules)) return [];
+    return rules
+        .map(r => ({
+            tags: _normalizeTags(r && r.tags),
+            difficulty: _normalizeDifficulty(r && r.difficulty),
+            count: Math.max(0, Math.floor(Number(r && r.count) || 0))
+        }))
+        .filter(r => r.count > 0);
+}
+
+/**
+ * 問題がルールに該当するか (ルールのタグをすべて持ち、難易度が指定されていれば一致)
+ */
+function _matchesDrawRule(item, rule) {
+    if (rule.difficulty && item.difficulty !== rule.difficulty) return false;
+    return rule.tags.every(t => item.tags.indexOf(t) >= 0);
+}
+
+function _describeDrawRule(rule) {
+    const parts = [rule.tags.length > 0 ? rule.tags.join('・') : '全タグ'];
+    if (rule.difficulty) parts.push('難易度 ' + rule.difficulty);
+    return `${parts.join(' / ')} から ${rule.count} 問`;
+}
+
+/**
+ * 出題ルールに従って問題バンクから問題を抽出する
+ * 同じ問題が複数のルールで重複して選ばれることはない。
+ * @param {Array} rules - 正規化済みの出題ルール
+ * @param {Array} bank - _readQuestionBank の結果
+ * @param {Array} excludeIds - 抽出しない問題 ID (パターンに固定で含まれる問題)
+ * @return {Array} 抽出した問題 (ルールの順)
+ */
+function _drawQuestions(rules, bank, excludeIds) {
+    const used = {};
+    (excludeIds || []).forEach(id => { used[String(id)] = true; });
+    const drawn = [];
+    rules.forEach((rule, idx) => {
+        const candidates = bank.filter(item => !used[item.id] && _matchesDrawRule(item, rule));
+        if (candidates.length < rule.count) {
+            throw new Error(`出題ルール ${idx + 1} (${_describeDrawRule(rule)}) に該当する問題が ${candidates.length} 問しかありません。`);
+        }
+        _shuffle(candidates).slice(0, rule.count).forEach(item => {
+            used[item.id] = true;
+            drawn.push(item);
+        });
+    });
+    return drawn;
+}
+
+/**
+ * 受験者に出題する問題セットを組み立てる (固定の問題 + 出題ルールで抽出した問題)
+ * @param {Array} questions - パターン (公開) の問題
+ * @param {Object} settings - 正規化済みの試験設定
+ */
+function _assembleExamQuestions(questions, settings) {
+    const rules = (settings && settings.drawRules) || [];
+    if (rules.length === 0) return questions;
+    const drawn = _drawQuestions(rules, _readQuestionBank(), questions.map(q => q.id));
+    return questions.concat(drawn.map(item => Object.assign({}, item.question, { id: item.id, isPublished: true })));
+}
+
+/**
+ * 公開前の確認: 出題ルールを満たす問題がバンクにあるか
+ * @return {string|null} 問題があればエラーメッセージ
+ */
+function _checkDrawRules(questions, settings) {
+    try {
+        _assembleExamQuestions(questions, _normalizeExamSettings(settings));
+        return null;
+    } catch (e) {
+        return '問題バンクの問題が不足しています: ' + e.message;
+    }
+}
+
+// --- 受験者名簿 (学籍番号・氏名・クラスと PIN。PIN はハッシュだけを保存する) ---
+
+/**
+ * 名簿の一覧
+ * @param {string} adminToken - 管理者トークン
+ * @return {Object} { success, students: [{ studentId, name, className, email, hasPin, locked, updatedAt }], classes: [string] }
+ *   locked: PIN の入力ミスが続いたため本人確認を一時的に止めている
+ */
+function getRoster(adminToken) {
+    _requireAdmin(adminToken);
+    try {
+        const students = _readRoster();
+        const classes = {};
+        students.forEach(s => { if (s.className) classes[s.className] = true; });
+        const failures = CacheService.getScriptCache().getAll(students.map(s => _candidateFailureKey(s.studentId)));
+        return {
+            success: true,
+            students: students.map(s => ({
+                studentId: s.studentId,
+                name: s.name,
+                className: s.className,
+                email: s.email,
+                hasPin: !!s.pinHash,
+                locked: Number(failures[_candidateFailureKey(s.studentId)]) >= CANDIDATE_LOGIN_MAX_FAILURES,
+                updatedAt: s.updatedAt
+            })),
+            classes: Object.keys(classes).sort()
+        };
+    } catch (e) {
+        console.error('getRoster Error:', e);
+        return { success: false, message: '名簿の読み込みエラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 名簿の CSV 取り込み
+ * 見出し行に StudentID (学籍番号) と Name (氏名) が必要。Class (クラス), PIN, Email (採点結果の通知先) は任意。
+ * Email 列がない CSV では、既存の学生のメールアドレスを維持する。
+ * PIN 列が空の学生は、既存の PIN を維持し、新規の場合は PIN を発行する。
+ * @param {string} adminToken - 管理者トークン
+ * @param {string} csvText - CSV の内容
+ * @param {string} mode - 'merge' (既存の学生を更新・追加) | 'replace' (CSV にない学生を削除)
+ * @return {Object} { success, message, warnings, generatedPins: [{ studentId, name, className, pin }] }
+ */
+function importRoster(adminToken, csvText, mode) {
+    _requireAdmin(adminToken);
+    try {
+        const warnings = [];
+        const incoming = _parseRosterCsv(csvText, warnings);
+        if (incoming.length === 0) throw new Error('取り込める学生がいません。');
+
+        return _withScriptLock(() => {
+            const existing = {};
+            _readRoster().forEach(s => { existing[s.studentId] = s; });
+            const merged = mode === 'replace' ? {} : Object.assign({}, existing);
+
+            const now = new Date();
+            const generatedPins = [];
+            let added = 0;
+            incoming.forEach(s => {
+                const prev = existing[s.studentId];
+                let pinHash = prev ? prev.pinHash : '';
+                if (s.pin) {
+                    pinHash = _newRosterPinHash(s.studentId, s.pin);
+                } else if (!pinHash) {
+                    const pin = _generatePin();
+                    pinHash = _newRosterPinHash(s.studentId, pin);
+                    generatedPins.push({ studentId: s.studentId, name: s.name, className: s.className, pin: pin });
+                }
+                if (!prev) added++;
+                const email = s.email !== null ? s.email : (prev ? prev.email : '');
+                merged[s.studentId] = { studentId: s.studentId, name: s.name, className: s.className, email: email, pinHash: pinHash, updatedAt: now };
+            });
+            const removed = Object.keys(existing).filter(id => !merged[id]).length;
+            _writeRoster(Object.keys(merged).map(id => merged[id]));
+
+            const message = `名簿に ${added} 人を追加し、${incoming.length - added} 人を更新しました。` +
+                (removed > 0 ? `${removed} 人を削除しました。` : '') +
+                (generatedPins.length > 0 ? `${generatedPins.length} 人に PIN を発行しました。` : '');
+            return { success: true, message: message, warnings: warnings, generatedPins: generatedPins };
+        });
+    } catch (e) {
+        console.error('importRoster Error:', e);
+        return { success: false, message: '名簿の取り込みエラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 名簿から削除する (点数表の記録はそのまま残る)
+ * @param {string} adminToken - 管理者トークン
+ * @param {Array} studentIds - 削除する学籍番号
+ */
+function deleteRosterStudents(adminToken, studentIds) {
+    _requireAdmin(adminToken);
+    try {
+        const targets = (studentIds || []).map(_normalizeStudentId);
+        let removed = 0;
+        _withScriptLock(() => {
+            const students = _readRoster();
+            const kept = students.filter(s => targets.indexOf(s.studentId) < 0);
+            removed = students.length - kept.length;
+            _writeRoster(kept);
+        });
+        return { success: true, message: `${removed} 人を名簿から削除しました。` };
+    } catch (e) {
+        console.error('deleteRosterStudents Error:', e);
+        return { success: false, message: '名簿の削除エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * PIN の再発行 (PIN を忘れた学生用)。発行した PIN はこの戻り値でしか確認できない。
+ * @param {string} adminToken - 管理者トークン
+ * @param {Array} studentIds - 再発行する学籍番号
+ * @return {Object} { success, message, generatedPins: [{ studentId, name, className, pin }] }
+ */
+function resetRosterPins(adminToken, studentIds) {
+    _requireAdmin(adminToken);
+    try {
+        const targets = (studentIds || []).map(_normalizeStudentId);
+        const generatedPins = [];
+        _withScriptLock(() => {
+            const students = _readRoster();
+            const now = new Date();
+            students.forEach(s => {
+                if (targets.indexOf(s.studentId) < 0) return;
+                const pin = _generatePin();
+                s.pinHash = _newRosterPinHash(s.studentId, pin);
+                s.updatedAt = now;
+                generatedPins.push({ studentId: s.studentId, name: s.name, className: s.className, pin: pin });
+            });
+            _writeRoster(students);
+        });
+        // ロック中の学生もすぐに新しい PIN で受験できるようにする
+        CacheService.getScriptCache().removeAll(generatedPins.map(p => _candidateFailureKey(p.studentId)));
+        return { success: true, message: `${generatedPins.length} 人の PIN を再発行しました。`, generatedPins: generatedPins };
+    } catch (e) {
+        console.error('resetRosterPins Error:', e);
+        return { success: false, message: 'PIN の再発行エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 本人確認のロックの解除 (PIN を変えずに、入力ミスの回数を消す)
+ * 他の学生が学籍番号を使って PIN を間違え続けた場合などに、試験の直前でも受験できるようにする。
+ * @param {string} adminToken - 管理者トークン
+ * @param {Array} studentIds - 解除する学籍番号
+ */
+function unlockRosterStudents(adminToken, studentIds) {
+    _requireAdmin(adminToken);
+    try {
+        const targets = (studentIds || []).map(_normalizeStudentId).filter(Boolean);
+        CacheService.getScriptCache().removeAll(targets.map(_candidateFailureKey));
+        return { success: true, message: `${targets.length} 人のロックを解除しました。` };
+    } catch (e) {
+        console.error('unlockRosterStudents Error:', e);
+        return { success: false, message: 'ロックの解除エラー: ' + e.toString() };
+    }
+}
+
+function _getRosterSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_ROSTER);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_ROSTER);
+        sheet.appendRow(ROSTER_HEADER);
+    }
+    _ensureHeader(sheet, ROSTER_HEADER);
+    return sheet;
+}
+
+/**
+ * 名簿の全件
+ * @return {Array} [{ studentId, name, className, email, pinHash, updatedAt }]
+ */
+function _readRoster(ss) {
+    const sheet = (ss || SpreadsheetApp.openById(_getSpreadsheetId())).getSheetByName(SHEET_NAME_ROSTER);
+    if (!sheet || sheet.getLastRow() < 2) return [];
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, ROSTER_HEADER.length).getValues();
+    return data.map(row => ({
+        studentId: _normalizeStudentId(row[0]),
+        name: String(row[1] || '').trim(),
+        className: String(row[2] || '').trim(),
+        pinHash: String(row[3] || ''),
+        updatedAt: row[4] instanceof Date ? row[4].toISOString() : String(row[4] || ''),
+        email: String(row[5] || '').trim()
+    })).filter(s => s.studentId);
+}
+
+/**
+ * 名簿を書き直す (学籍番号順)
+ */
+function _writeRoster(students) {
+    const sheet = _getRosterSheet(SpreadsheetApp.openById(_getSpreadsheetId()));
+    if (sheet.getLastRow() > 1) sheet.deleteRows(2, sheet.getLastRow() - 1);
+    const rows = students
+        .slice()
+        .sort((a, b) => a.studentId < b.studentId ? -1 : a.studentId > b.studentId ? 1 : 0)
+        .map(s => [s.studentId, s.name, s.className, s.pinHash, s.updatedAt || '', s.email || '']);
+    if (rows.length > 0) sheet.getRange(2, 1, rows.length, ROSTER_HEADER.length).setValues(rows);
+}
+
+/**
+ * 名簿 CSV の解析
+ * @return {Array} [{ studentId, name, className, pin, email }] (Email 列がなければ email は null)
+ */
+function _parseRosterCsv(text, warnings) {
+    const rows = Utilities.parseCsv(String(text || '').replace(/^\uFEFF/, ''))
+        .filter(row => row.some(cell => String(cell).trim() !== ''));
+    if (rows.length < 2) throw new Error('CSV にデータ行がありません。');
+
+    const header = rows[0].map(h => String(h).normalize('NFKC').trim().toLowerCase());
+    const col = {};
+    Object.keys(ROSTER_CSV_COLUMNS).forEach(key => {
+        col[key] = header.findIndex(h => ROSTER_CSV_COLUMNS[key].indexOf(h) >= 0);
+    });
+    if (col.studentId < 0 || col.name < 0) throw new Error('CSV に StudentID (学籍番号) 列と Name (氏名) 列が必要です。');
+    const get = (row, key) => col[key] >= 0 && row[col[key]] !== undefined ? String(row[col[key]]).trim() : '';
+
+    const students = [];
+    const lineById = {};
+    rows.slice(1).forEach((row, i) => {
+        const line = i + 2;
+        const studentId = _normalizeStudentId(get(row, 'studentId'));
+        const name = get(row, 'name');
+        if (!studentId || !name) {
+            warnings.push(`${line} 行目: 学籍番号または氏名が空のため読み飛ばしました。`);
+            return;
+        }
+        const pin = get(row, 'pin').normalize('NFKC');
+        if (pin && pin.length < 4) {
+            warnings.push(`${line} 行目: PIN が短すぎるため (4 文字未満)、PIN 列を無視しました。`);
+        }
+        if (lineById[studentId]) {
+            warnings.push(`${line} 行目: 学籍番号「${studentId}」が ${lineById[studentId]} 行目と重複しているため、後の行を使います。`);
+            const idx = students.findIndex(s => s.studentId === studentId);
+            students.splice(idx, 1);
+        }
+        let email = col.email >= 0 ? get(row, 'email') : null;
+        if (email && !EMAIL_PATTERN.test(email)) {
+            warnings.push(`${line} 行目: メールアドレス「${email}」の形式が正しくないため、空欄として取り込みました。`);
+            email = '';
+        }
+        lineById[studentId] = line;
+        students.push({ studentId: studentId, name: name, className: get(row, 'className'), pin: pin.length >= 4 ? pin : '', email: email });
+    });
+    return students;
+}
+
+function _normalizeStudentId(value) {
+    return String(value === undefined || value === null ? '' : value).normalize('NFKC').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * PIN のハッシュ (ROSTER_PIN_HASH_VERSION の形式)
+ */
+function _rosterPinHash(studentId, pin, salt, secret) {
+    let hash = [secret, _normalizeStudentId(studentId), String(pin).normalize('NFKC').trim()].join(':');
+    for (let i = 0; i < ROSTER_PIN_HASH_ITERATIONS; i++) {
+        hash = _digestHex(salt + ':' + hash);
+    }
+    return [ROSTER_PIN_HASH_VERSION, salt, hash].join('$');
+}
+
+/**
+ * 新しい PIN のハッシュ (スクリプトロックの中で呼ぶ。秘密の値が未作成なら作る)
+ */
+function _newRosterPinHash(studentId, pin) {
+    const props = PropertiesService.getScriptProperties();
+    let secret = props.getProperty(SCRIPT_PROP_KEY_ROSTER_PIN_SECRET);
+    if (!secret) {
+        secret = _digestHex(Utilities.getUuid() + Utilities.getUuid());
+        props.setProperty(SCRIPT_PROP_KEY_ROSTER_PIN_SECRET, secret);
+    }
+    return _rosterPinHash(studentId, pin, Utilities.getUuid().replace(/-/g, ''), secret);
+}
+
+function _verifyRosterPin(student, pin) {
+    if (!pin || !student.pinHash) return false;
+    const parts = student.pinHash.split('$');
+    if (parts[0] !== ROSTER_PIN_HASH_VERSION) return false;
+    const secret = PropertiesService.getScriptProperties().getProperty(SCRIPT_PROP_KEY_ROSTER_PIN_SECRET);
+    return !!secret && _rosterPinHash(student.studentId, pin, parts[1], secret) === student.pinHash;
+}
+
+function _candidateFailureKey(studentId) {
+    return CANDIDATE_LOGIN_FAILURE_PREFIX + _digestHex(_normalizeStudentId(studentId)).slice(0, 16);
+}
+
+/**
+ * PIN の生成 (Math.random は予測できるため、Utilities.getUuid の乱数から作る)
+ */
+function _generatePin() {
+    const random = parseInt(_digestHex(Utilities.getUuid()).slice(0, 12), 16); // 48 ビット
+    return String(random % Math.pow(10, ROSTER_PIN_LENGTH)).padStart(ROSTER_PIN_LENGTH, '0');
+}
+
+/**
+ * 問題データの取得 (受験画面用)
+ * 受験者向けには採点基準・模範解答を除外して返す。
+ * @param {boolean} includeHidden - 非公開問題・採点情報も含めるかどうか (Admin用)
+ * @param {string} adminToken - includeHidden 指定時に必須
+ */
+function getQuestions(includeHidden, adminToken) {
+    if (includeHidden) {
+        _requireAdmin(adminToken);
+        return _getQuestions(true);
+    }
+    // 受験期間の開始前・受付停止中は問題を見せない
+    const deployment = _getDefaultDeployment();
+    const settings = deployment.settings;
+    if (deployment.status !== 'open') return [];
+    if (settings.opensAt && new Date() < new Date(settings.opensAt)) return [];
+    return _getQuestions(false).map(_toExamineeQuestion);
+}
+
+/**
+ * 受験者に渡してはいけない項目 (採点基準・模範解答・正解キー) を取り除く
+ */
+function _toExamineeQuestion(q) {
+    const strip = (item) => {
+        const copy = Object.assign({}, item);
+        delete copy.criteria;
+        delete copy.rubric;
+        delete copy.modelAnswer;
+        delete copy.correctKeys;
+        delete copy.numericAnswer;
+        return copy;
+    };
+    const copy = strip(q);
+    if (Array.isArray(copy.subQuestions)) {
+        copy.subQuestions = copy.subQuestions.map(strip);
+    }
+    return copy;
+}
+
+/**
+ * Questionsシートから問題リストを読み込む (採点情報を含む)
+ * 受験者が一斉にアクセスしてもシートを読み直さないよう、CacheService に保持する。
+ * @param {boolean} includeHidden - 非公開問題も含めるかどうか
+ */
+function _getQuestions(includeHidden) {
+    try {
+        const questions = _getPublishedCache('questions', _readQuestionsSheet);
+        if (includeHidden) {
+            return questions;
+        } else {
+            // isPublished が true (または非false) のものだけ残す
+            return questions.filter(q => q.isPublished !== false);
+        }
+    } catch (e) {
+        console.error(e);
+        // エラー時は空リストを返す（またはエラーをスロー）
+        return [];
+    }
+}
+
+/**
+ * Questionsシートの全問題 (読み込みに失敗した場合は例外)
+ */
+function _readQuestionsSheet() {
+    const ssId = _getSpreadsheetId();
+    const ss = SpreadsheetApp.openById(ssId);
+    const sheet = ss.getSheetByName(SHEET_NAME_QUESTIONS);
+
+    if (!sheet) return []; // シートがない場合は空リスト
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return []; // データがない場合
+
+    // 10列目まで取得 (Col J: AttributesJSON)
+    const maxCols = sheet.getMaxColumns();
+    const numColsToGet = Math.min(QUESTIONS_HEADER.length, maxCols);
+
+    const data = sheet.getRange(2, 1, lastRow - 1, numColsToGet).getValues();
+
+    // オブジェクト配列に変換
+    const questions = data.map(row => {
+        let subQuestions = [];
+        if (row.length >= 6 && row[5]) {
+            try {
+                subQuestions = JSON.parse(row[5]);
+            } catch (e) {
+                console.warn("Failed to parse subQuestions JSON", e);
+            }
+        }
+
+        // Col 7 (index 6) が modelAnswer
+        const modelAnswer = (row.length >= 7) ? row[6] : '';
+        // Col 8 (index 7) が referenceDiagramId
+        const referenceDiagramId = (row.length >= 8) ? row[7] : '';
+        // Col 9 (index 8) が isPublished
+        // String "TRUE"/"FALSE" として保存されていることを前提にする
+        // 空の場合は旧互換で True
+        let isPublished = true;
+        if (row.length >= 9 && row[8] !== '') {
+            const val = String(row[8]).trim().toUpperCase();
+            if (val === 'FALSE') {
+                isPublished = false;
+            } else {
+                // "TRUE" or anything else is treated as visible
+                isPublished = true;
+            }
+        }
+
+        // Col 10 (index 9) が追加属性 (type, choices, correctKeys など)
+        let attributes = {};
+        if (row.length >= 10 && row[9]) {
+            try {
+                attributes = JSON.parse(row[9]);
+            } catch (e) {
+                console.warn("Failed to parse attributes JSON", e);
+            }
+        }
+
+        return Object.assign(attributes, {
+            id: row[0],
+            text: row[1],
+            imageUrl: row[2],
+            points: Number(row[3]),
+            criteria: row[4] || '',
+            subQuestions: subQuestions,
+            modelAnswer: modelAnswer,
+            referenceDiagramId: referenceDiagramId,
+            isPublished: isPublished
+        });
+    });
+
+    return questions;
+}
+
+/**
+ * 受験者の登録 (試験開始時)
+ * 試験設定で名簿による本人確認が有効な場合は、学籍番号と PIN で確認し、名簿の氏名で登録する。
+ * @param {string} name - 受験者名 (名簿による本人確認が有効な場合は使わない)
+ * @param {string} patternTitle - 試験パターン名 (既定の公開で CURRENT_PATTERN_TITLE が未設定の場合のみ使用)
+ * @param {string} accessCode - (Optional) アクセスコード。空の場合は既定の公開を受験する
+ * @param {Object} credentials - (Optional) { studentId, pin }
+ * @return {string} sessionId - セッションID (点数表のID)
+ */
+function registerCandidate(name, patternTitle, accessCode, credentials) {
+    try {
+        const deployment = _resolveDeployment(accessCode);
+        if (!deployment) throw new Error('アクセスコードが正しくありません。');
+        if (deployment.status !== 'open') throw new Error('この試験は現在受け付けていません。');
+
+        const settings = deployment.settings;
+        let studentId = '';
+        if (settings.requireRoster) {
+            const student = _verifyRosterStudent(credentials);
+            studentId = student.studentId;
+            name = student.name;
+        }
+        if (!name) throw new Error("名前が入力されていません。");
+
+        // 受験期間のチェック
+        const timestamp = new Date();
+        if (settings.opensAt && timestamp < new Date(settings.opensAt)) {
+            throw new Error(`試験はまだ開始されていません。(開始: ${_formatDateTime(settings.opensAt)})`);
+        }
+        if (settings.closesAt && timestamp >= new Date(settings.closesAt)) {
+            throw new Error(`試験の受付は終了しました。(終了: ${_formatDateTime(settings.closesAt)})`);
+        }
+
+        const ssId = _getSpreadsheetId();
+        const ss = SpreadsheetApp.openById(ssId);
+
+        const sessionId = Utilities.getUuid();
+        const deadline = _computeDeadline(timestamp, settings);
+
+        // 受験開始時点の問題セット (出題ルールがあれば受験者ごとに抽出) を固定し、
+        // 採点・結果表示はこの版に対して行う
+        const title = deployment.pattern || patternTitle || '';
+        const questions = _assembleExamQuestions(_getDeploymentQuestions(deployment), settings);
+
+        // 並べ替えはスナップショット (正規の順序) を変えず、表示時にこのシードで再現する
+        let shuffle = '';
+        if (settings.shuffleQuestions || settings.shuffleChoices) {
+            shuffle = JSON.stringify({
+                seed: Math.floor(Math.random() * 0x100000000),
+                questions: settings.shuffleQuestions,
+                choices: settings.shuffleChoices
+            });
+        }
+
+        _withScriptLock(() => {
+            const sheet = _getScoreTableSheet(ss);
+            // 回数の確認と登録を同じロック内で行い、同時に開始しても上限を超えないようにする
+            const attempt = _countAttempts(sheet, title, studentId, name) + 1;
+            if (settings.maxAttempts > 0 && attempt > settings.maxAttempts) {
+                throw new Error(`この試験の受験回数の上限 (${settings.maxAttempts} 回) に達しています。`);
+            }
+            const versionId = _snapshotQuestions(ss, questions, title);
+            // Score is empty initially
+            sheet.appendRow([sessionId, timestamp, name, title, '', deadline || '', 'IN_PROGRESS', versionId, '', deployment.id, shuffle, studentId, attempt]);
+            _indexSessionRow(sessionId, sheet.getLastRow());
+        });
+        return sessionId;
+
+    } catch (e) {
+        console.error("registerCandidate Error:", e);
+        throw e;
+    }
+}
+
+/**
+ * 名簿による本人確認
+ * PIN が発行されていない学生は受験できない (共通のアクセスコードだけでは本人と確認できないため)。
+ * 総当たり対策として、学籍番号ごとに連続失敗回数を記録してロックする。
+ * ロックは他人が学籍番号を入力しても掛かるため、管理画面から解除できるようにしている (unlockRosterStudents)。
+ * @return {Object} 名簿の学生 { studentId, name, className }
+ */
+function _verifyRosterStudent(credentials) {
+    const c = credentials || {};
+    const studentId = _normalizeStudentId(c.studentId);
+    if (!studentId) throw new Error('学籍番号が入力されていません。');
+
+    const cache = CacheService.getScriptCache();
+    const failKey = _candidateFailureKey(studentId);
+    const failures = Number(cache.get(failKey)) || 0;
+    if (failures >= CANDIDATE_LOGIN_MAX_FAILURES) {
+        throw new Error('本人確認の試行回数が上限に達しました。しばらく待ってから再度お試しください。');
+    }
+
+    const student = _readRoster().find(s => s.studentId === studentId);
+    if (student && !student.pinHash) throw new Error('PIN が発行されていません。担当の先生に確認してください。');
+    const verified = !!student && _verifyRosterPin(student, c.pin);
+    if (!verified) {
+        cache.put(failKey, String(failures + 1), CANDIDATE_LOGIN_LOCK_SEC);
+        throw new Error('学籍番号または PIN が正しくありません。');
+    }
+    cache.remove(failKey);
+    return student;
+}
+
+/**
+ * 同じ受験者がこのパターンを受験した回数 (途中のものを含む)
+ * 学籍番号があれば学籍番号で、なければ表記ゆれを除いた名前で数える。
+ */
+function _countAttempts(sheet, patternTitle, studentId, name) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return 0;
+    const key = _candidateKey(studentId, name);
+    const names = sheet.getRange(2, _scoreCol('Name'), lastRow - 1, 2).getValues();
+    const ids = sheet.getRange(2, _scoreCol('StudentID'), lastRow - 1, 1).getValues();
+    let count = 0;
+    names.forEach((row, i) => {
+        if (String(row[1] || '') === String(patternTitle) && _candidateKey(ids[i][0], row[0]) === key) count++;
+    });
+    return count;
+}
+
+function _candidateKey(studentId, name) {
+    const id = _normalizeStudentId(studentId);
+    if (id) return 'id:' + id;
+    return 'name:' + String(name || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * 問題セットのスナップショットを保存し、版ID を返す
+ * 版ID は問題内容のハッシュなので、同じ内容なら既存のスナップショットを再利用する。
+ */
+function _snapshotQuestions(ss, questions, patternTitle) {
+    const jsonStr = JSON.stringify(questions);
+    const versionId = _digestHex(jsonStr).slice(0, 16);
+
+    let sheet = ss.getSheetByName(SHEET_NAME_SNAPSHOTS);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_SNAPSHOTS);
+        sheet.appendRow(SNAPSHOTS_HEADER);
+    }
+    if (_findSnapshotRow(sheet, versionId) < 0) {
+        sheet.appendRow([versionId, new Date(), patternTitle || '', jsonStr]);
+    }
+    return versionId;
+}
+
+function _findSnapshotRow(sheet, versionId) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return -1;
+    const ids = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+    for (let i = 0; i < ids.length; i++) {
+        if (String(ids[i][0]) === String(versionId)) return i + 2;
+    }
+    return -1;
+}
+
+/**
+ * スナップショットから問題セットを読み込む
+ * @return {Array|null} 見つからない場合は null
+ */
+function _loadSnapshot(versionId) {
+    if (!versionId) return null;
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    const sheet = ss.getSheetByName(SHEET_NAME_SNAPSHOTS);
+    if (!sheet) return null;
+    const row = _findSnapshotRow(sheet, versionId);
+    if (row < 0) return null;
+    try {
+        return JSON.parse(sheet.getRange(row, 4).getValue());
+    } catch (e) {
+        console.error('Broken snapshot', versionId, e);
+        return null;
+    }
+}
+
+/**
+ * セッションの採点に使う問題セット (採点情報を含む)
+ * 版ID を持たない旧セッションは現在の問題セットで代用する。
+ * @return {Object} { versionId, questions }
+ */
+function _getSessionQuestions(sessionId) {
+    if (sessionId) {
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const found = _findScoreRow(_getScoreTableSheet(ss), sessionId);
+        const versionId = found ? String(found.values['VersionId'] || '') : '';
+        const questions = _loadSnapshot(versionId);
+        if (questions) return { versionId: versionId, questions: questions, shuffle: _parseShuffle(found.values['ShuffleJSON']) };
+        if (versionId) console.warn('Snapshot not found, falling back to current questions', versionId);
+    }
+    // 採点時は全問題(非公開含む)を取得して、回答が存在すれば採点できるようにする
+    // (ユーザーが古い画面を開いたまま回答した場合などの整合性のため)
+    return { versionId: '', questions: _getQuestions(true) };
+}
+
+/**
+ * セッション固定の問題セット (受験画面用)
+ * 受験開始後に問題が差し替えられても、受験者には開始時点の問題を表示する。
+ * 並べ替えが有効な場合は受験者ごとの順序で返し、各問題・小問の number に正規の番号を付ける。
+ * @param {string} sessionId - セッションID
+ */
+function getSessionQuestions(sessionId) {
+    try {
+        const snapshot = _getSessionQuestions(sessionId);
+        const questions = _numberQuestions(snapshot.questions.filter(q => q.isPublished !== false).map(_toExamineeQuestion));
+        return {
+            success: true,
+            versionId: snapshot.versionId,
+            questions: snapshot.shuffle ? _shuffleQuestions(questions, snapshot.shuffle) : questions
+        };
+    } catch (e) {
+        console.error(e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+/**
+ * 正規の問題番号 (1始まり) を number に付ける
+ */
+function _numberQuestions(questions) {
+    return questions.map((q, qIdx) => {
+        const numbered = Object.assign({}, q, { number: qIdx + 1 });
+        if (Array.isArray(q.subQuestions)) {
+            numbered.subQuestions = q.subQuestions.map((sq, sIdx) => Object.assign({}, sq, { number: sIdx + 1 }));
+        }
+        return numbered;
+    });
+}
+
+function _parseShuffle(value) {
+    if (!value) return null;
+    try {
+        const shuffle = JSON.parse(value);
+        return shuffle && (shuffle.questions || shuffle.choices) ? shuffle : null;
+    } catch (e) {
+        console.warn('Invalid ShuffleJSON', e);
+        return null;
+    }
+}
+
+/**
+ * セッションのシードで問題・小問・選択肢を並べ替える (同じシードなら常に同じ順序)
+ * 小問は問題に shuffleSubQuestions が指定されている場合のみ並べ替える。
+ * @param {Array} questions - 受験画面用の問題 (正規の順序)
+ * @param {Object} shuffle - { seed, questions, choices }
+ */
+function _shuffleQuestions(questions, shuffle) {
+    const random = _seededRandom(shuffle.seed);
+    const shuffleChoices = (item) => {
+        const type = _questionType(item);
+        if (!shuffle.choices || (type !== 'single' && type !== 'multiple')) return item;
+        return Object.assign({}, item, { choices: _shuffle(item.choices || [], random) });
+    };
+    const ordered = shuffle.questions ? _shuffle(questions, random) : questions;
+    return ordered.map(q => {
+        const copy = shuffleChoices(q);
+        if (Array.isArray(q.subQuestions) && q.subQuestions.length > 0) {
+            const subs = (shuffle.questions && q.shuffleSubQuestions) ? _shuffle(q.subQuestions, random) : q.subQuestions;
+            copy.subQuestions = subs.map(shuffleChoices);
+        }
+        return copy;
+    });
+}
+
+/**
+ * シード付き疑似乱数 (mulberry32)。0 以上 1 未満を返す関数を返す
+ */
+function _seededRandom(seed) {
+    let a = Number(seed) >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 配列をシャッフルした新しい配列を返す (Fisher-Yates)
+ * @param {Function} random - 0 以上 1 未満を返す関数 (省略時は Math.random)
+ */
+function _shuffle(array, random) {
+    const rand = random || Math.random;
+    const result = array.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        const tmp = result[i];
+        result[i] = result[j];
+        result[j] = tmp;
+    }
+    return result;
+}
+
+/**
+ * 点数表シートの取得 (なければ作成し、見出しを最新化)
+ */
+function _getScoreTableSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_SCORE_TABLE);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_SCORE_TABLE);
+        sheet.appendRow(SCORE_TABLE_HEADER);
+    }
+    _ensureHeader(sheet, SCORE_TABLE_HEADER);
+    return sheet;
+}
+
+/**
+ * 点数表の列番号 (1-based) を見出し名から取得
+ */
+function _scoreCol(name) {
+    return SCORE_TABLE_HEADER.indexOf(name) + 1;
+}
+
+/**
+ * 点数表からセッション行を検索
+ * 行番号の索引 (CacheService) があればその行だけを読み、なければ ID 列だけを検索して索引に加える。
+ * @return {Object|null} { row (1-based), values: {見出し名: 値} }
+ */
+function _findScoreRow(sheet, sessionId) {
+    if (!sessionId) return null;
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return null;
+
+    const indexed = Number(CacheService.getScriptCache().get(SESSION_ROW_CACHE_PREFIX + sessionId));
+    if (indexed >= 2 && indexed <= lastRow) {
+        const found = _readScoreRow(sheet, indexed);
+        // 行の削除などでずれていたら検索し直す
+        if (String(found.values.ID) === String(sessionId)) return found;
+    }
+
+    const ids = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+    // 新しいセッションほど下にあるので下から探す
+    for (let i = ids.length - 1; i >= 0; i--) {
+        if (String(ids[i][0]) === String(sessionId)) {
+            _indexSessionRow(sessionId, i + 2);
+            return _readScoreRow(sheet, i + 2);
+        }
+    }
+    return null;
+}
+
+function _readScoreRow(sheet, row) {
+    const data = sheet.getRange(row, 1, 1, SCORE_TABLE_HEADER.length).getValues()[0];
+    const values = {};
+    SCORE_TABLE_HEADER.forEach((key, c) => { values[key] = data[c] !== undefined ? data[c] : ''; });
+    return { row: row, values: values };
+}
+
+function _indexSessionRow(sessionId, row) {
+    CacheService.getScriptCache().put(SESSION_ROW_CACHE_PREFIX + sessionId, String(row), DATA_CACHE_TTL_SEC);
+}
+
+/**
+ * 提出期限の計算: 開始時刻 + 制限時間 と 受験期間の終了時刻 の早い方
+ * @return {Date|null} 期限なしの場合は null
+ */
+function _computeDeadline(startedAt, settings) {
+    const candidates = [];
+    if (settings.durationMinutes > 0) {
+        candidates.push(new Date(new Date(startedAt).getTime() + settings.durationMinutes * 60 * 1000));
+    }
+    if (settings.closesAt) {
+        candidates.push(new Date(settings.closesAt));
+    }
+    if (candidates.length === 0) return null;
+    return new Date(Math.min.apply(null, candidates.map(d => d.getTime())));
+}
+
+function _formatDateTime(value) {
+    return Utilities.formatDate(new Date(value), Session.getScriptTimeZone(), 'yyyy/MM/dd HH:mm');
+}
+
+/**
+ * セッションの開始時刻・提出期限を取得 (カウントダウン表示用)
+ * @param {string} sessionId - セッションID
+ * @return {Object} { success, startedAt, deadline, serverNow, status, resumeCode }
+ *   resumeCode: 別の端末で再開するときに入力するコード (名簿で本人確認しない試験用)
+ */
+function getSessionTiming(sessionId) {
+    try {
+        if (!sessionId) throw new Error('Session ID is required.');
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const sheet = ss.getSheetByName(SHEET_NAME_SCORE_TABLE);
+        const found = sheet ? _findScoreRow(sheet, sessionId) : null;
+        if (!found) return { success: false, message: 'セッションが見つかりませんでした。' };
+
+        const v = found.values;
+        return {
+            success: true,
+            startedAt: v.Timestamp ? new Date(v.Timestamp).toISOString() : '',
+            deadline: v.Deadline ? new Date(v.Deadline).toISOString() : '',
+            serverNow: new Date().toISOString(),
+            status: v.Status || '',
+            resumeCode: _resumeCodeOf(v.ID)
+        };
+    } catch (e) {
+        console.error('getSessionTiming Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+/**
+ * 採点前に回答を一時保存する (タイムアウト対策)
+ * 未提出のセッションと、採点に失敗して再試行するセッション (PENDING_GRADING) だけ受け付ける。
+ * @param {Object} answers - 回答オブジェクト
+ * @param {string} sessionId - セッションID
+ * @return {Object} { success, closed } closed: 提出済み・提出期限切れのため保存できない
+ */
+function saveTemporaryAnswers(answers, sessionId) {
+    try {
+        if (!sessionId) throw new Error("Session ID is required for temporary save.");
+
+        const ssId = _getSpreadsheetId();
+        const ss = SpreadsheetApp.openById(ssId);
+        const found = _findScoreRow(_getScoreTableSheet(ss), sessionId);
+        if (!found) return { success: false, message: 'セッションが見つかりませんでした。' };
+
+        const closedReason = _sessionClosedReason(found.values, SUBMITTABLE_STATUSES);
+        if (closedReason) return { success: false, closed: true, message: closedReason };
+
+        const sheet = _getResponsesSheet(ss);
+
+        const detailObj = {
+            status: "PENDING_GRADING", // 採点待ちフラグ
+            answers: answers
+        };
+
+        // Scoreは "PENDING" として保存
+        sheet.appendRow([
+            new Date(),
+            "PENDING",
+            sessionId,
+            JSON.stringify(detailObj)
+        ]);
+
+        // 点数表にも採点待ちを記録 (採点されないまま残った場合に回復ジョブで拾う)
+        // 確認の後に提出が済んでいる場合もあるため、ロックの中で未提出のときだけ書き換える
+        _withScriptLock(() => {
+            const scoreSheet = _getScoreTableSheet(ss);
+            const current = _findScoreRow(scoreSheet, sessionId);
+            if (current && String(current.values.Status || 'IN_PROGRESS') === 'IN_PROGRESS') {
+                scoreSheet.getRange(current.row, _scoreCol('Status')).setValue('PENDING_GRADING');
+            }
+        });
+
+        return { success: true };
+    } catch (e) {
+        console.error("saveTemporaryAnswers Error:", e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+/**
+ * 受験中の回答の途中保存 (受験画面から一定間隔と問題の切り替え時に呼ばれる)
+ * セッションごとに最新の 1 件だけを Drafts シートに上書きする。採点待ちにはしないため、回復ジョブの対象にならない。
+ * 複数の端末から保存された場合は後から保存したものが残る。
+ * @param {Object} answers - 回答オブジェクト
+ * @param {string} sessionId - セッションID
+ * @param {string} position - 表示中の問題ID (再開時にこの問題を開く)
+ * @return {Object} { success, savedAt, closed } closed: 提出済み・提出期限切れのため保存できない
+ */
+function autosaveAnswers(answers, sessionId, position) {
+    try {
+        if (!sessionId) throw new Error('Session ID is required.');
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const found = _findScoreRow(_getScoreTableSheet(ss), sessionId);
+        if (!found) return { success: false, message: 'セッションが見つかりませんでした。' };
+
+        const closedReason = _sessionClosedReason(found.values);
+        if (closedReason) return { success: false, closed: true, message: closedReason };
+
+        const savedAt = new Date();
+        _withScriptLock(() => {
+            _writeDraft(ss, [String(sessionId), savedAt, JSON.stringify(answers || {}), String(position || '')]);
+        });
+        return { success: true, savedAt: savedAt.toISOString() };
+    } catch (e) {
+        console.error('autosaveAnswers Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+/**
+ * 別の端末での受験の再開
+ * 名簿で本人確認する試験は学籍番号 + PIN、それ以外は再開コード + 受験開始時の名前で確認し、
+ * 同じ公開で受験中 (未提出) の最新のセッションと、その途中保存を返す。
+ * @param {string} accessCode - アクセスコード (既定の公開は空)
+ * @param {Object} credentials - { studentId, pin } または { resumeCode, name }
+ * @return {Object} { success, sessionId, name, answers, position, savedAt }
+ */
+function resumeSession(accessCode, credentials) {
+    try {
+        const deployment = _resolveDeployment(accessCode);
+        if (!deployment) throw new Error('アクセスコードが正しくありません。');
+        if (deployment.status !== 'open') throw new Error('この試験は現在受け付けていません。');
+
+        const c = credentials || {};
+        let matches;
+        if (deployment.settings.requireRoster) {
+            const student = _verifyRosterStudent(c);
+            matches = (v) => _normalizeStudentId(v.StudentID) === student.studentId;
+        } else {
+            const code = _normalizeResumeCode(c.resumeCode);
+            if (code.length !== RESUME_CODE_LENGTH || !String(c.name || '').trim()) {
+                throw new Error('再開コードとお名前を入力してください。');
+            }
+            const nameKey = _candidateKey('', c.name);
+            matches = (v) => _resumeCodeOf(v.ID) === code && _candidateKey('', v.Name) === nameKey;
+        }
+
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const data = _getScoreTableSheet(ss).getDataRange().getValues();
+        let found = null;
+        // 新しいセッションほど下にあるので下から探す
+        for (let i = data.length - 1; i >= 1 && !found; i--) {
+            const v = {};
+            SCORE_TABLE_HEADER.forEach((key, col) => { v[key] = data[i][col] !== undefined ? data[i][col] : ''; });
+            if (!v.ID || String(v.DeploymentId || DEFAULT_DEPLOYMENT_ID) !== deployment.id) continue;
+            if (String(v.Status || 'IN_PROGRESS') === 'IN_PROGRESS' && matches(v)) found = v;
+        }
+        if (!found) return { success: false, message: '再開できる受験が見つかりませんでした。(提出済みの受験は再開できません)' };
+
+        const draft = _readDraft(ss, found.ID);
+        return {
+            success: true,
+            sessionId: String(found.ID),
+            name: String(found.Name || ''),
+            answers: draft ? draft.answers : {},
+            position: draft ? draft.position : '',
+            savedAt: draft ? draft.savedAt.toISOString() : ''
+        };
+    } catch (e) {
+        console.error('resumeSession Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+function _getDraftsSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_DRAFTS);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_DRAFTS);
+        sheet.appendRow(DRAFTS_HEADER);
+    }
+    return sheet;
+}
+
+/**
+ * セッションの途中保存の行番号 (なければ -1)
+ */
+function _findDraftRow(sheet, sessionId) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return -1;
+    const cache = CacheService.getScriptCache();
+    const indexed = Number(cache.get(DRAFT_ROW_CACHE_PREFIX + sessionId));
+    if (indexed >= 2 && indexed <= lastRow && String(sheet.getRange(indexed, 1).getValue()) === String(sessionId)) return indexed;
+
+    const ids = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+    for (let i = ids.length - 1; i >= 0; i--) {
+        if (String(ids[i][0]) === String(sessionId)) {
+            cache.put(DRAFT_ROW_CACHE_PREFIX + sessionId, String(i + 2), DATA_CACHE_TTL_SEC);
+            return i + 2;
+        }
+    }
+    return -1;
+}
+
+function _writeDraft(ss, row) {
+    const sheet = _getDraftsSheet(ss);
+    const existing = _findDraftRow(sheet, row[0]);
+    if (existing > 0) {
+        sheet.getRange(existing, 1, 1, DRAFTS_HEADER.length).setValues([row]);
+    } else {
+        sheet.appendRow(row);
+        CacheService.getScriptCache().put(DRAFT_ROW_CACHE_PREFIX + row[0], String(sheet.getLastRow()), DATA_CACHE_TTL_SEC);
+    }
+}
+
+/**
+ * @return {Object|null} { savedAt, answers, position }
+ */
+function _readDraft(ss, sessionId) {
+    const sheet = ss.getSheetByName(SHEET_NAME_DRAFTS);
+    if (!sheet) return null;
+    const row = _findDraftRow(sheet, sessionId);
+    if (row < 0) return null;
+    const values = sheet.getRange(row, 1, 1, DRAFTS_HEADER.length).getValues()[0];
+    try {
+        return { savedAt: new Date(values[1]), answers: JSON.parse(values[2]), position: String(values[3] || '') };
+    } catch (e) {
+        console.warn('Broken draft', sessionId, e);
+        return null;
+    }
+}
+
+/**
+ * 再開コード (セッションIDの先頭。ハイフンを除いた大文字)
+ */
+function _resumeCodeOf(sessionId) {
+    return String(sessionId || '').replace(/-/g, '').slice(0, RESUME_CODE_LENGTH).toUpperCase();
+}
+
+function _normalizeResumeCode(code) {
+    return String(code || '').normalize('NFKC').replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+}
+
+/**
+ * 受験中の保存を受け付けない理由 (受け付ける場合は空文字)
+ * @param {Object} v - 点数表の行 (_findScoreRow の values)
+ * @param {Array} statuses - (Optional) 受け付ける Status (既定は IN_PROGRESS のみ)
+ */
+function _sessionClosedReason(v, statuses) {
+    if ((statuses || ['IN_PROGRESS']).indexOf(String(v.Status || 'IN_PROGRESS')) < 0) return 'この受験はすでに提出されています。';
+    if (v.Deadline && Date.now() > new Date(v.Deadline).getTime() + SUBMISSION_GRACE_SEC * 1000) {
+        return '提出期限を過ぎているため保存できません。';
+    }
+    return '';
+}
+
+// --- 画像での回答 (記述式) ---
+
+/**
+ * 回答画像のアップロード (受験中のみ)
+ * 画像での回答を許可した記述式の問題・小問に、手書きの計算過程などの写真を添付する。
+ * ファイルは Drive のフォルダに保存し、採点時に問題文・文章の回答と一緒に採点プロバイダへ送る。
+ * @param {string} sessionId - セッションID
+ * @param {string} questionId - 問題ID
+ * @param {string} subQuestionId - 小問ID (親問題の場合は空)
+ * @param {Object} image - { name, mimeType, data (Base64) }
+ * @return {Object} { success, image: { fileId, name, mimeType, size, uploadedAt } }
+ */
+function uploadAnswerImage(sessionId, questionId, subQuestionId, image) {
+    try {
+        if (!sessionId) throw new Error('Session ID is required.');
+        const img = image || {};
+        const mimeType = String(img.mimeType || '').toLowerCase();
+        if (ANSWER_IMAGE_MIME_TYPES.indexOf(mimeType) < 0) {
+            return { success: false, message: 'JPEG・PNG・WebP・HEIC 形式の画像を選んでください。' };
+        }
+        const bytes = Utilities.base64Decode(String(img.data || ''));
+        if (bytes.length === 0) return { success: false, message: '画像が空です。' };
+        if (bytes.length > ANSWER_IMAGE_MAX_BYTES) {
+            return { success: false, message: `画像が大きすぎます (上限 ${ANSWER_IMAGE_MAX_BYTES / 1024 / 1024}MB)。` };
+        }
+
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const found = _findScoreRow(_getScoreTableSheet(ss), sessionId);
+        if (!found) return { success: false, message: 'セッションが見つかりませんでした。' };
+        const closedReason = _sessionClosedReason(found.values);
+        if (closedReason) return { success: false, closed: true, message: closedReason };
+
+        const item = _findAnswerItem(_getSessionQuestions(sessionId).questions, questionId, subQuestionId);
+        if (!item || _questionType(item) !== 'text' || !item.allowImages) {
+            return { success: false, message: 'この問題には画像で回答できません。' };
+        }
+
+        const key = _resultKey(questionId, subQuestionId);
+        return _withScriptLock(() => {
+            const attached = _readAnswerImages(ss, sessionId)[key] || [];
+            if (attached.length >= ANSWER_IMAGE_MAX_PER_ANSWER) {
+                return { success: false, message: `画像は 1 つの回答につき ${ANSWER_IMAGE_MAX_PER_ANSWER} 枚までです。` };
+            }
+            const name = String(img.name || 'answer').slice(0, 100);
+            const file = _getAnswerImageFolder().createFile(Utilities.newBlob(bytes, mimeType, `${_resumeCodeOf(sessionId)}_${key}_${name}`));
+            const uploadedAt = new Date();
+            _getAnswerImagesSheet(ss).appendRow([file.getId(), String(sessionId), String(questionId), String(subQuestionId || ''), name, mimeType, bytes.length, uploadedAt, '']);
+            return {
+                success: true,
+                image: { fileId: file.getId(), name: name, mimeType: mimeType, size: bytes.length, uploadedAt: uploadedAt.toISOString() }
+            };
+        });
+    } catch (e) {
+        console.error('uploadAnswerImage Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+/**
+ * 回答画像の削除 (受験中のみ。シートには削除日時を記録し、ファイルはゴミ箱に移す)
+ * @param {string} sessionId - セッションID
+ * @param {string} fileId - uploadAnswerImage が返した fileId
+ */
+function removeAnswerImage(sessionId, fileId) {
+    try {
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const found = _findScoreRow(_getScoreTableSheet(ss), sessionId);
+        if (!found) return { success: false, message: 'セッションが見つかりませんでした。' };
+        const closedReason = _sessionClosedReason(found.values);
+        if (closedReason) return { success: false, closed: true, message: closedReason };
+
+        return _withScriptLock(() => {
+            const sheet = _getAnswerImagesSheet(ss);
+            const row = _findAnswerImageRow(sheet, fileId, sessionId);
+            if (row < 0) return { success: false, message: '画像が見つかりませんでした。' };
+            sheet.getRange(row, ANSWER_IMAGES_HEADER.indexOf('DeletedAt') + 1).setValue(new Date());
+            try {
+                DriveApp.getFileById(String(fileId)).setTrashed(true);
+            } catch (e) {
+                console.warn('Failed to trash answer image', fileId, e);
+            }
+            return { success: true };
+        });
+    } catch (e) {
+        console.error('removeAnswerImage Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+/**
+ * セッションの回答画像の一覧 (再読み込み・別の端末での再開時に添付済みの画像を表示する)
+ * @return {Object} { success, images: { "問題ID_小問ID": [{ fileId, name, mimeType, size, uploadedAt }] } }
+ */
+function getSessionAnswerImages(sessionId) {
+    try {
+        if (!sessionId) throw new Error('Session ID is required.');
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        return { success: true, images: _readAnswerImages(ss, sessionId) };
+    } catch (e) {
+        console.error('getSessionAnswerImages Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+/**
+ * 回答画像の取得 (受験者用。自分のセッションの画像のみ)
+ * @return {Object} { success, mimeType, data (Base64) }
+ */
+function getAnswerImage(sessionId, fileId) {
+    try {
+        if (!sessionId) throw new Error('Session ID is required.');
+        return _answerImageData(fileId, sessionId);
+    } catch (e) {
+        console.error('getAnswerImage Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+/**
+ * 回答画像の取得 (管理者の結果詳細用)
+ * @return {Object} { success, mimeType, data (Base64) }
+ */
+function getResultAnswerImage(adminToken, sessionId, fileId) {
+    _requireAdmin(adminToken);
+    try {
+        return _answerImageData(fileId, sessionId);
+    } catch (e) {
+        console.error('getResultAnswerImage Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+function _answerImageData(fileId, sessionId) {
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    if (_findAnswerImageRow(_getAnswerImagesSheet(ss), fileId, sessionId) < 0) {
+        return { success: false, message: '画像が見つかりませんでした。' };
+    }
+    const image = _loadAnswerImage({ fileId: fileId });
+    return { success: true, mimeType: image.mimeType, data: image.data };
+}
+
+function _getAnswerImagesSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_ANSWER_IMAGES);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_ANSWER_IMAGES);
+        sheet.appendRow(ANSWER_IMAGES_HEADER);
+    }
+    return sheet;
+}
+
+/**
+ * 回答画像の保存先フォルダ (スクリプトプロパティに ID を保存。見つからなければ作り直す)
+ */
+function _getAnswerImageFolder() {
+    const props = PropertiesService.getScriptProperties();
+    const folderId = props.getProperty(SCRIPT_PROP_KEY_ANSWER_IMAGE_FOLDER);
+    if (folderId) {
+        try {
+            return DriveApp.getFolderById(folderId);
+        } catch (e) {
+            console.warn('Answer image folder not found, recreating', folderId, e);
+        }
+    }
+    const folder = DriveApp.createFolder(ANSWER_IMAGE_FOLDER_NAME);
+    props.setProperty(SCRIPT_PROP_KEY_ANSWER_IMAGE_FOLDER, folder.getId());
+    return folder;
+}
+
+/**
+ * セッションの回答画像の行番号 (削除済み・別のセッションのものは -1)
+ */
+function _findAnswerImageRow(sheet, fileId, sessionId) {
+    const data = sheet.getDataRange().getValues();
+    for (let i = data.length - 1; i >= 1; i--) {
+        if (String(data[i][0]) !== String(fileId)) continue;
+        return String(data[i][1]) === String(sessionId) && !data[i][8] ? i + 1 : -1;
+    }
+    return -1;
+}
+
+/**
+ * 削除されていない回答画像 (アップロード順)
+ * @return {Object} "問題ID_小問ID" -> [{ fileId, name, mimeType, size, uploadedAt }]
+ */
+function _readAnswerImages(ss, sessionId) {
+    const sheet = ss.getSheetByName(SHEET_NAME_ANSWER_IMAGES);
+    const data = sheet ? sheet.getDataRange().getValues() : [];
+    const images = {};
+    for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        if (String(row[1]) !== String(sessionId) || row[8]) continue;
+        const key = _resultKey(row[2], row[3]);
+        (images[key] = images[key] || []).push({
+            fileId: String(row[0]),
+            name: String(row[4] || ''),
+            mimeType: String(row[5] || ''),
+            size: Number(row[6]) || 0,
+            uploadedAt: row[7] ? new Date(row[7]).toISOString() : ''
+        });
+    }
+    return images;
+}
+
+/**
+ * 回答画像の中身を Drive から読み込む
+ * @return {Object} { mimeType, data (Base64) }
+ */
+function _loadAnswerImage(image) {
+    const blob = DriveApp.getFileById(String(image.fileId)).getBlob();
+    return { mimeType: image.mimeType || blob.getContentType(), data: Utilities.base64Encode(blob.getBytes()) };
+}
+
+/**
+ * 回答の単位となる問題または小問の取得 (小問のある問題は小問IDが必要)
+ */
+function _findAnswerItem(questions, questionId, subQuestionId) {
+    const q = (questions || []).find(q => String(q.id) === String(questionId));
+    if (!q) return null;
+    if (!subQuestionId) return q.subQuestions && q.subQuestions.length > 0 ? null : q;
+    return (q.subQuestions || []).find(sq => String(sq.id) === String(subQuestionId)) || null;
+}
+
+/**
+ * 回答の送信と採点
+ * 点数表の Status が SUBMITTABLE_STATUSES 以外 (提出済み・期限切れで拒否済み) のセッションは受け付けない。
+ * @param {Object} answers - 回答オブジェクト
+ * @param {string} sessionId - セッションID (registerCandidateで取得)
+ */
+function submitAnswers(answers, sessionId) {
+    try {
+        // 0. 提出済みかどうかと提出期限の確認
+        let status = 'SUBMITTED';
+        if (sessionId) {
+            // 採点結果 (模範解答) を見た後に提出し直して得点を上書きできないよう、未提出・採点待ちのセッションだけ受け付ける
+            const found = _findScoreRow(_getScoreTableSheet(SpreadsheetApp.openById(_getSpreadsheetId())), sessionId);
+            if (!found) return { success: false, message: 'セッションが見つかりませんでした。' };
+            if (SUBMITTABLE_STATUSES.indexOf(String(found.values.Status || 'IN_PROGRESS')) < 0) {
+                return { success: false, closed: true, message: 'この受験はすでに提出されています。' };
+            }
+
+            const resolved = _resolveSubmission(sessionId, answers, new Date());
+            if (resolved.status === 'REJECTED_LATE') {
+                _updateScoreTable(sessionId, '', 'REJECTED_LATE');
+                return { success: false, message: '提出期限を過ぎているため、回答を受け付けられませんでした。' };
+            }
+            answers = resolved.answers;
+            status = resolved.status;
+        }
+
+        const graded = _gradeAndRecord(answers, sessionId, status);
+
+        return {
+            success: true,
+            totalScore: graded.totalScore,
+            results: graded.results,
+            status: status,
+            gradedAnswers: status === 'AUTO_SUBMITTED' ? answers : undefined
+        };
+
+    } catch (e) {
+        console.error(e);
+        const errorMsg = e.toString();
+        // ユーザーにわかりやすいエラーメッセージを返す
+        return { success: false, message: '送信エラー: ' + errorMsg };
+    }
+}
+
+/**
+ * 採点して点数表・回答ログに記録する (submitAnswers と回復ジョブで共通)
+ * @param {Object} answers - 回答オブジェクト
+ * @param {string} sessionId - セッションID
+ * @param {string} status - 点数表に記録する提出状態
+ * @return {Object} { totalScore, results }
+ */
+function _gradeAndRecord(answers, sessionId, status) {
+    // 受験開始時に固定した問題セットで採点する
+    const snapshot = _getSessionQuestions(sessionId);
+    const questions = snapshot.questions;
+
+    // 1. 採点 (選択式・数値は自動採点、記述式は Gemini API。添付された回答画像も一緒に送る)
+    const images = sessionId ? _readAnswerImages(SpreadsheetApp.openById(_getSpreadsheetId()), sessionId) : {};
+    const gradingResults = _gradeAnswers(questions, answers, images);
+    const totalScore = gradingResults.reduce((sum, r) => sum + r.score, 0);
+
+    // 2. 点数表の更新 (sessionIdがある場合)
+    // 採点エラー・採点不能・システムエラーや採点のばらつき (一貫性モード) を含む結果は教員の確認が必要なものとして印をつける
+    if (sessionId) {
+        _updateScoreTable(sessionId, totalScore, status, _needsHumanReview(gradingResults) ? 'needs_attention' : 'unreviewed');
+    }
+
+    // 3. 詳細ログをスプレッドシートに保存 (バックアップ/詳細分析用)
+    _saveResponseLog(questions, answers, gradingResults, totalScore, sessionId, snapshot.versionId);
+
+    // 4. 受験者への採点結果の通知 (設定が有効で、名簿にメールアドレスがある場合のみ)
+    _notifyCandidateResult(sessionId, questions, gradingResults, totalScore);
+
+    return { totalScore: totalScore, results: gradingResults, versionId: snapshot.versionId };
+}
+
+/**
+ * 教員の確認が必要な採点結果を含むかどうか
+ */
+function _needsHumanReview(gradingResults) {
+    return gradingResults.some(r => _isGradingFailure(r) || (r.consistency && r.consistency.flagged));
+}
+
+/**
+ * 提出期限に応じた提出状態と採点する回答 (submitAnswers と回復ジョブで共通)
+ * 期限後の提出を受け付けない設定では、期限内に一時保存された最後の回答を採点対象とする。
+ * @param {Date} at - 提出された時刻
+ * @return {Object} { status: SUBMITTED | LATE | AUTO_SUBMITTED | REJECTED_LATE, answers } REJECTED_LATE の answers は null
+ */
+function _resolveSubmission(sessionId, answers, at) {
+    const timing = _checkSubmissionTiming(sessionId, at);
+    if (!timing.late) return { status: 'SUBMITTED', answers: answers };
+    if (timing.policy !== 'reject') return { status: 'LATE', answers: answers };
+    const snapshot = _findLatestSnapshot(sessionId, timing.deadline);
+    return snapshot ? { status: 'AUTO_SUBMITTED', answers: snapshot } : { status: 'REJECTED_LATE', answers: null };
+}
+
+/**
+ * 提出が期限内かどうかを判定
+ * @param {Date} at - (Optional) 提出された時刻 (既定は現在時刻)
+ * @return {Object} { late, deadline, policy }
+ */
+function _checkSubmissionTiming(sessionId, at) {
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    const sheet = ss.getSheetByName(SHEET_NAME_SCORE_TABLE);
+    const found = sheet ? _findScoreRow(sheet, sessionId) : null;
+    const settings = _getDeploymentSettings(found ? found.values.DeploymentId : '');
+    if (!found || !found.values.Deadline) {
+        return { late: false, deadline: null, policy: settings.latePolicy };
+    }
+    const deadline = new Date(found.values.Deadline);
+    const late = (at ? new Date(at).getTime() : Date.now()) > deadline.getTime() + SUBMISSION_GRACE_SEC * 1000;
+    return { late: late, deadline: deadline, policy: settings.latePolicy };
+}
+
+/**
+ * 指定時刻以前に一時保存 (提出前の保存・途中保存) された最新の回答を取得
+ * @param {string} sessionId - セッションID
+ * @param {Date} before - この時刻 (+猶予) までに保存されたものが対象
+ * @return {Object|null} 回答オブジェクト
+ */
+function _findLatestSnapshot(sessionId, before) {
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    const limit = new Date(before).getTime() + SUBMISSION_GRACE_SEC * 1000;
+
+    let latest = null;
+    const sheet = ss.getSheetByName(SHEET_NAME_RESPONSES);
+    const data = sheet ? sheet.getDataRange().getValues() : [];
+    for (let i = data.length - 1; i >= 1 && !latest; i--) {
+        const row = data[i];
+        if (String(row[2]) !== String(sessionId) || row[1] !== 'PENDING') continue;
+        if (new Date(row[0]).getTime() > limit) continue;
+        try {
+            const answers = JSON.parse(row[3]).answers;
+            if (answers) latest = { at: new Date(row[0]).getTime(), answers: answers };
+        } catch (e) {
+            console.warn('Broken snapshot row', i + 1, e);
+        }
+    }
+
+    const draft = _readDraft(ss, sessionId);
+    if (draft && draft.savedAt.getTime() <= limit && (!latest || draft.savedAt.getTime() > latest.at)) return draft.answers;
+    return latest ? latest.answers : null;
+}
+
+/**
+ * 点数表のスコア更新
+ * @param {string} sessionId - セッションID
+ * @param {number|string} score - 合計点 (undefined の場合は変更しない)
+ * @param {string} status - (Optional) 提出状態 (SUBMITTED / LATE / AUTO_SUBMITTED など)
+ * @param {string} reviewState - (Optional) 確認状態 (REVIEW_STATES のいずれか)
+ */
+function _updateScoreTable(sessionId, score, status, reviewState) {
+    try {
+        _withScriptLock(() => {
+            const ssId = _getSpreadsheetId();
+            const ss = SpreadsheetApp.openById(ssId);
+            if (!ss.getSheetByName(SHEET_NAME_SCORE_TABLE)) return;
+            const sheet = _getScoreTableSheet(ss);
+
+            const found = _findScoreRow(sheet, sessionId);
+            if (!found) {
+                console.warn("Session ID not found in Score Table:", sessionId);
+                return;
+            }
+            if (score !== undefined) {
+                sheet.getRange(found.row, _scoreCol('Score')).setValue(score);
+            }
+            if (status) {
+                sheet.getRange(found.row, _scoreCol('Status')).setValue(status);
+            }
+            if (reviewState) {
+                sheet.getRange(found.row, _scoreCol('ReviewState')).setValue(reviewState);
+            }
+        });
+    } catch (e) {
+        console.error("Update Score Table Error:", e);
+    }
+}
+
+/**
+ * 問題リストを採点単位 (問題 or 小問) にフラット化
+ * @param {Object} images - (Optional) 回答画像 (_readAnswerImages の結果)。画像での回答を許可した記述式のみ対象
+ * @return {Array} [{ type, qId, sqId, text, points, criteria, studentAnswer, modelAnswer, spec, images }]
+ */
+function _flattenProblems(questions, answers, images) {
+    const imagesOf = (item, qId, sqId) =>
+        item.allowImages && _questionType(item) === 'text' ? ((images || {})[_resultKey(qId, sqId)] || []) : [];
+    const problemList = [];
+    questions.forEach(q => {
+        if (q.subQuestions && q.subQuestions.length > 0) {
+            q.subQuestions.forEach(sq => {
+                problemList.push({
+                    type: 'sub',
+                    qId: q.id,
+                    sqId: sq.id,
+                    text: `[親問題]: ${q.text}\n[小問題]: ${sq.text}`,
+                    points: sq.points,
+                    criteria: sq.criteria || '特になし',
+                    studentAnswer: (answers[q.id] && answers[q.id][sq.id]) || "",
+                    modelAnswer: sq.modelAnswer || "", // Add model answer
+                    spec: sq,
+                    images: imagesOf(sq, q.id, sq.id)
+                });
+            });
+        } else {
+            problemList.push({
+                type: 'normal',
+                qId: q.id,
+                sqId: null,
+                text: q.text,
+                points: q.points,
+                criteria: q.criteria || '特になし',
+                studentAnswer: answers[q.id] || "",
+                modelAnswer: q.modelAnswer || "", // Add model answer
+                spec: q,
+                images: imagesOf(q, q.id, null)
+            });
+        }
+    });
+    return problemList;
+}
+
+/**
+ * 採点の入口: 自動採点できる問題はローカルで、記述式は AI で採点する
+ * @param {Array} questions - 問題リスト
+ * @param {Object} answers - 回答オブジェクト
+ * @param {Object} images - (Optional) 回答画像 (_readAnswerImages の結果)
+ * @return {Array} 採点結果 (問題順)
+ */
+function _gradeAnswers(questions, answers, images) {
+    const problemList = _flattenProblems(questions, answers || {}, images);
+    if (problemList.length === 0) return [];
+
+    const aiProblems = problemList.filter(p => !_isObjective(p.spec));
+    const aiResults = aiProblems.length > 0 ? _gradeWithCache(aiProblems) : [];
+
+    const keyOf = (qId, sqId) => `${qId}_${sqId || ''}`;
+    const aiResultMap = {};
+    aiResults.forEach(r => { aiResultMap[keyOf(r.questionId, r.subQuestionId)] = r; });
+
+    return problemList.map(p => {
+        if (_isObjective(p.spec)) return _gradeObjective(p);
+        return aiResultMap[keyOf(p.qId, p.sqId)];
+    }).filter(Boolean);
+}
+
+/**
+ * 解答形式の取得 (未設定は記述式)
+ */
+function _questionType(item) {
+    return QUESTION_TYPES.indexOf(item && item.type) >= 0 ? item.type : 'text';
+}
+
+/**
+ * AIを使わずに採点できる形式かどうか
+ */
+function _isObjective(item) {
+    return _questionType(item) !== 'text';
+}
+
+/**
+ * 選択肢リスト (○×問題は固定)
+ */
+function _choicesOf(item) {
+    return _questionType(item) === 'truefalse' ? TRUE_FALSE_CHOICES : (item.choices || []);
+}
+
+/**
+ * 選択式・○×・数値問題のローカル採点
+ * @param {Object} p - _flattenProblems の要素
+ * @return {Object} 採点結果 (AI採点と同じ形)
+ */
+function _gradeObjective(p) {
+    const item = p.spec;
+    const type = _questionType(item);
+    const points = Number(p.points) || 0;
+    let score = 0;
+    let reason = '';
+
+    if (type === 'numeric') {
+        const graded = _gradeNumericAnswer(item, p.studentAnswer, points);
+        score = graded.score;
+        reason = graded.reason;
+        if (!p.modelAnswer && item.numericAnswer) p.modelAnswer = _formatNumericSpec(item.numericAnswer);
+    } else {
+        const choices = _choicesOf(item);
+        const labelOf = (key) => {
+            const c = choices.find(c => String(c.id) === String(key));
+            return c ? c.text : String(key);
+        };
+        const correct = (item.correctKeys || []).map(String);
+        const selected = (Array.isArray(p.studentAnswer) ? p.studentAnswer : [p.studentAnswer])
+            .filter(v => v !== '' && v !== null && v !== undefined)
+            .map(String);
+        const correctLabel = correct.map(labelOf).join('、');
+
+        if (correct.length === 0) {
+            reason = '採点不能: 正解が設定されていません。';
+        } else if (selected.length === 0) {
+            reason = `未回答です。正解: ${correctLabel}`;
+        } else if (type === 'multiple') {
+            const hits = selected.filter(k => correct.indexOf(k) >= 0).length;
+            const misses = selected.length - hits;
+            if (hits === correct.length && misses === 0) {
+                score = points;
+                reason = '正解です。';
+            } else {
+                // 正しい選択 - 誤った選択 の割合で部分点
+                score = Math.max(0, Math.floor(points * (hits - misses) / correct.length));
+                reason = `一部正解 (正しい選択 ${hits}/${correct.length}、誤った選択 ${misses})。正解: ${correctLabel}`;
+            }
+        } else {
+            if (correct.indexOf(selected[0]) >= 0) {
+                score = points;
+                reason = '正解です。';
+            } else {
+                reason = `不正解です。正解: ${correctLabel}`;
+            }
+        }
+    }
+
+    return {
+        questionId: p.qId,
+        subQuestionId: p.sqId,
+        score: score,
+        reason: reason,
+        questionText: p.text,
+        modelAnswer: p.modelAnswer,
+        gradingMethod: 'auto'
+    };
+}
+
+/**
+ * 物理量の文字列を解析する
+ * 例: "20 V", "2.2kΩ", "15mA", "0.015A", "10∠-30°", "V = IR = 20[V]", "1.5×10^3 Hz"
+ * @param {string} text - 入力文字列
+ * @return {Object|null} { value (接頭語を反映した基本単位の値), raw (記載された数値), unit, angle (度, 位相角がなければ null) }
+ */
+function _parseQuantity(text) {
+    let str = String(text === undefined || text === null ? '' : text).normalize('NFKC').trim();
+    if (!str) return null;
+
+    // 計算過程つきの回答は最後の "=" 以降を答えとみなす
+    const eq = str.lastIndexOf('=');
+    if (eq >= 0) str = str.slice(eq + 1);
+
+    str = str
+        .replace(/[\[\]()（）]/g, ' ')   // 20[V] → 20 V
+        .replace(/(\d),(?=\d{3})/g, '$1') // 桁区切りのカンマ
+        .replace(/[−–]/g, '-')
+        .replace(/µ/g, 'μ')
+        .replace(/\s+/g, ' ');
+
+    const re = /([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)\s*(?:[×x*]\s*10\s*\^?\s*([+-]?\d+))?\s*([GMkmμunp])?\s*(Hz|hz|HZ|VA|var|V|A|Ω|ohm|Ohm|OHM|W|F|H)?/;
+    const m = str.match(re);
+    if (!m) return null;
+
+    let raw = parseFloat(m[1]);
+    if (m[2]) raw *= Math.pow(10, Number(m[2]));
+    const prefix = m[3] || '';
+    let unit = m[4] ? (UNIT_ALIASES[m[4]] || m[4]) : '';
+    // "15m" のように単位がない場合も接頭語として扱う
+    const value = raw * (prefix ? SI_PREFIXES[prefix] : 1);
+
+    // 位相角 (フェーザ表記)
+    let angle = null;
+    const rest = str.slice(m.index + m[0].length);
+    const am = rest.match(/^\s*∠\s*([+-]?(?:\d+\.?\d*|\.\d+))\s*(°|deg|rad)?\s*(Hz|VA|var|V|A|Ω|ohm|W|F|H)?/);
+    if (am) {
+        angle = parseFloat(am[1]);
+        if (am[2] === 'rad') angle = angle * 180 / Math.PI;
+        if (!unit && am[3]) unit = UNIT_ALIASES[am[3]] || am[3];
+    }
+
+    return { value: value, raw: raw, prefix: prefix, unit: unit, angle: angle };
+}
+
+/**
+ * 数値問題の正解を表示用文字列に整形
+ */
+function _formatNumericSpec(spec) {
+    const value = String(spec.value === undefined ? '' : spec.value);
+    const unit = spec.unit || '';
+    const angleAt = value.indexOf('∠');
+    if (angleAt >= 0) {
+        return `${value.slice(0, angleAt).trim()}${unit}∠${value.slice(angleAt + 1).replace(/°/g, '').trim()}°`;
+    }
+    return `${value}${unit}`;
+}
+
+/**
+ * 数値問題の採点 (SI接頭語・単位・許容誤差・位相角に対応)
+ * 数値が合っていて単位や位相角だけが違う場合は部分点とする。
+ * @param {Object} item - 問題 (numericAnswer: { value, unit, tolerance, relTolerance, angleTolerance })
+ * @param {string} answer - 受験者の回答
+ * @param {number} points - 配点
+ * @return {Object} { score, reason }
+ */
+function _gradeNumericAnswer(item, answer, points) {
+    const spec = item.numericAnswer || {};
+    const expected = _parseQuantity(`${spec.value === undefined ? '' : spec.value} ${spec.unit || ''}`);
+    if (!expected) {
+        return { score: 0, reason: '採点不能: 正解の数値が設定されていません。' };
+    }
+    const correctLabel = _formatNumericSpec(spec);
+
+    if (answer === undefined || answer === null || String(answer).trim() === '') {
+        return { score: 0, reason: `未回答です。正解: ${correctLabel}` };
+    }
+    const actual = _parseQuantity(answer);
+    if (!actual) return { score: 0, reason: `数値として読み取れませんでした。正解: ${correctLabel}` };
+
+    // 許容誤差: 絶対誤差 (接頭語可: "0.5m") と 相対誤差 (%) の大きい方
+    const absTolerance = spec.tolerance ? Math.abs((_parseQuantity(spec.tolerance) || { value: 0 }).value) : 0;
+    const relTolerance = Math.abs(Number(spec.relTolerance) || 0) / 100;
+    const withinTolerance = (a, b) => {
+        const allowed = Math.max(absTolerance, relTolerance * Math.abs(b), NUMERIC_DEFAULT_REL_TOLERANCE * Math.abs(b));
+        return Math.abs(a - b) <= allowed + 1e-15;
+    };
+
+    let magnitudeOk = withinTolerance(actual.value, expected.value);
+    // 単位も接頭語も書かれていない場合は、正解の記載どおりの数値とも比較する (例: 正解 15mA に "15")
+    if (!magnitudeOk && !actual.unit && !actual.prefix && expected.prefix) {
+        magnitudeOk = withinTolerance(actual.raw, expected.raw);
+    }
+    if (!magnitudeOk) {
+        return { score: 0, reason: `不正解です。正解: ${correctLabel}` };
+    }
+
+    let credit = 1;
+    const notes = [];
+    if (expected.unit && actual.unit !== expected.unit) {
+        credit *= NUMERIC_PARTIAL_CREDIT;
+        notes.push(actual.unit ? `単位が違います (${actual.unit} → ${expected.unit})` : `単位 (${expected.unit}) がありません`);
+    }
+    if (expected.angle !== null) {
+        const angleTolerance = spec.angleTolerance !== undefined && spec.angleTolerance !== ''
+            ? Math.abs(Number(spec.angleTolerance)) : NUMERIC_DEFAULT_ANGLE_TOLERANCE;
+        const diff = actual.angle === null ? Infinity : Math.abs(((actual.angle - expected.angle) % 360 + 540) % 360 - 180);
+        if (diff > angleTolerance) {
+            credit *= NUMERIC_PARTIAL_CREDIT;
+            notes.push(actual.angle === null ? '位相角がありません' : '位相角が違います');
+        }
+    }
+
+    if (credit === 1) return { score: points, reason: '正解です。' };
+    return {
+        score: Math.floor(points * credit),
+        reason: `部分点: 数値は正しいですが、${notes.join('、')}。正解: ${correctLabel}`
+    };
+}
+
+// --- 採点の一貫性モード (記述式を複数回採点して集計し、ばらつきが大きいものを要確認にする) ---
+const CONSISTENCY_MAX_SAMPLES = 5;
+const CONSISTENCY_AGGREGATIONS = ['median', 'majority'];
+const DEFAULT_CONSISTENCY = { samples: 1, aggregation: 'median', spreadPercent: 20, providers: [] };
+// 採点ごとに指示の言い回しを変え、同じ偏りが繰り返されにくくする
+const GRADING_PROMPT_VARIANTS = [
+    '',
+    '採点の前に、回答が採点基準のどの要素に触れているかを一つずつ確認してください。',
+    '模範解答との表現の違いではなく、内容の正しさに基づいて得点を決めてください。'
+];
+
+// --- 採点プロバイダ (記述式の採点を行う AI / ルール) ---
+// 各プロバイダは { label, requiresApiKey, apiKeyProperty, defaultModel, defaultEndpoint } と、
+// HTTP 経由のものは buildRequest / parseResponse / testConnection、ローカルで完結するものは grade を持つ。
+
+const GRADING_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        requiresApiKey: true,
+        apiKeyProperty: SCRIPT_PROP_KEY_GEMINI_API_KEY,
+        defaultModel: 'gemini-3-flash-preview',
+        defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta',
+        buildRequest: _geminiRequest,
+        parseResponse: _geminiParseResponse,
+        testConnection: _geminiTestConnection
+    },
+    openai: {
+        label: 'OpenAI 互換 (Chat Completions)',
+        requiresApiKey: false, // ローカルのモックサーバーなどキー不要のエンドポイントも使えるようにする
+        apiKeyProperty: SCRIPT_PROP_KEY_OPENAI_API_KEY,
+        defaultModel: 'gpt-4o-mini',
+        defaultEndpoint: 'https://api.openai.com/v1',
+        buildRequest: _openAiRequest,
+        parseResponse: _openAiParseResponse,
+        testConnection: _openAiTestConnection
+    },
+    rule: {
+        label: 'ルールベース (外部通信なし)',
+        requiresApiKey: false,
+        apiKeyProperty: null,
+        defaultModel: '',
+        defaultEndpoint: '',
+        grade: _gradeByRules
+    }
+};
+
+/**
+ * 採点プロバイダの設定 (スクリプトプロパティ、未設定の項目はプロバイダの既定値)
+ * @return {Object} { provider, model, endpoint, apiKey }
+ */
+function _getGradingConfig(providerId) {
+    const props = PropertiesService.getScriptProperties();
+    const savedId = String(props.getProperty(SCRIPT_PROP_KEY_GRADING_PROVIDER) || DEFAULT_GRADING_PROVIDER).trim();
+    const saved = GRADING_PROVIDERS[savedId] ? savedId : DEFAULT_GRADING_PROVIDER;
+    const provider = providerId && GRADING_PROVIDERS[providerId] ? providerId : saved;
+    const spec = GRADING_PROVIDERS[provider];
+    // 保存済みのモデル・エンドポイントは設定中のプロバイダ用。それ以外 (一貫性モードの追加プロバイダ) は既定値を使う
+    const own = (key) => provider === saved ? String(props.getProperty(key) || '').trim() : '';
+    return {
+        provider: provider,
+        model: own(SCRIPT_PROP_KEY_GRADING_MODEL) || spec.defaultModel,
+        endpoint: (own(SCRIPT_PROP_KEY_GRADING_ENDPOINT) || spec.defaultEndpoint).replace(/\/+$/, ''),
+        apiKey: spec.apiKeyProperty ? (props.getProperty(spec.apiKeyProperty) || '') : ''
+    };
+}
+
+/**
+ * 一貫性モードの設定 (samples が 1 なら無効)
+ * @return {Object} { samples, aggregation, spreadPercent, providers }
+ */
+function _getConsistencyConfig() {
+    const raw = PropertiesService.getScriptProperties().getProperty(SCRIPT_PROP_KEY_GRADING_CONSISTENCY);
+    let saved = {};
+    try {
+        saved = raw ? JSON.parse(raw) : {};
+    } catch (e) {
+        console.warn('Broken consistency config', e);
+    }
+    return _normalizeConsistency(saved);
+}
+
+function _normalizeConsistency(c) {
+    const src = c || {};
+    const samples = Math.floor(Number(src.samples));
+    const spreadPercent = Number(src.spreadPercent);
+    return {
+        samples: samples >= 1 ? Math.min(samples, CONSISTENCY_MAX_SAMPLES) : DEFAULT_CONSISTENCY.samples,
+        aggregation: CONSISTENCY_AGGREGATIONS.indexOf(src.aggregation) >= 0 ? src.aggregation : DEFAULT_CONSISTENCY.aggregation,
+        spreadPercent: isFinite(spreadPercent) && spreadPercent >= 0 ? spreadPercent : DEFAULT_CONSISTENCY.spreadPercent,
+        providers: (Array.isArray(src.providers) ? src.providers : []).filter((id, i, arr) => GRADING_PROVIDERS[id] && arr.indexOf(id) === i)
+    };
+}
+
+/**
+ * 採点プロバイダ設定の取得 (管理画面用。API キーは有無のみ返す)
+ * @param {string} adminToken - 管理者トークン
+ */
+function getGradingConfig(adminToken) {
+    _requireAdmin(adminToken);
+    const props = PropertiesService.getScriptProperties();
+    const config = _getGradingConfig();
+    return {
+        success: true,
+        provider: config.provider,
+        model: props.getProperty(SCRIPT_PROP_KEY_GRADING_MODEL) || '',
+        endpoint: props.getProperty(SCRIPT_PROP_KEY_GRADING_ENDPOINT) || '',
+        hasApiKey: !!config.apiKey,
+        consistency: _getConsistencyConfig(),
+        providers: Object.keys(GRADING_PROVIDERS).map(id => {
+            const p = GRADING_PROVIDERS[id];
+            return {
+                id: id,
+                label: p.label,
+                defaultModel: p.defaultModel,
+                defaultEndpoint: p.defaultEndpoint,
+                apiKeyProperty: p.apiKeyProperty,
+                requiresApiKey: p.requiresApiKey,
+                hasApiKey: !!(p.apiKeyProperty && props.getProperty(p.apiKeyProperty))
+            };
+        })
+    };
+}
+
+/**
+ * 採点プロバイダ設定の保存 (空欄の項目は削除してプロバイダの既定値に戻す)
+ * API キーは画面からは扱わず、スクリプトプロパティで設定する。
+ * @param {string} adminToken - 管理者トークン
+ * @param {Object} settings - { provider, model, endpoint, consistency: { samples, aggregation, spreadPercent, providers } }
+ */
+function saveGradingConfig(adminToken, settings) {
+    _requireAdmin(adminToken);
+    try {
+        const s = settings || {};
+        if (!GRADING_PROVIDERS[s.provider]) throw new Error('不明な採点プロバイダです: ' + s.provider);
+        const endpoint = String(s.endpoint || '').trim();
+        if (endpoint && !/^https?:\/\//.test(endpoint)) throw new Error('エンドポイントは http:// または https:// で始まる URL を指定してください。');
+
+        const props = PropertiesService.getScriptProperties();
+        const setOrDelete = (key, value) => {
+            if (value) props.setProperty(key, value);
+            else props.deleteProperty(key);
+        };
+        props.setProperty(SCRIPT_PROP_KEY_GRADING_PROVIDER, s.provider);
+        setOrDelete(SCRIPT_PROP_KEY_GRADING_MODEL, String(s.model || '').trim());
+        setOrDelete(SCRIPT_PROP_KEY_GRADING_ENDPOINT, endpoint);
+        if (s.consistency) {
+            props.setProperty(SCRIPT_PROP_KEY_GRADING_CONSISTENCY, JSON.stringify(_normalizeConsistency(s.consistency)));
+        }
+        return { success: true, message: `採点プロバイダを「${GRADING_PROVIDERS[s.provider].label}」に設定しました。` };
+    } catch (e) {
+        console.error('saveGradingConfig Error:', e);
+        return { success: false, message: '設定エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 記述式の採点 (設定された採点プロバイダで並列処理)
+ * @param {Array} problemList - _flattenProblems で作成した採点対象 (記述式のみ)
+ * @param {Object} config - (Optional) _getGradingConfig の結果。省略時は保存済みの設定
+ * @param {string} promptVariant - (Optional) プロンプトに追加する指示 (GRADING_PROMPT_VARIANTS)
+ */
+function _gradeWithProvider(problemList, config, promptVariant) {
+    if (problemList.length === 0) return [];
+
+    config = config || _getGradingConfig();
+    const provider = GRADING_PROVIDERS[config.provider];
+    if (provider.grade) return provider.grade(problemList, config);
+
+    // APIキーがない場合はモック採点
+    if (provider.requiresApiKey && !config.apiKey) {
+        return problemList.map(p => ({
+            questionId: p.qId,
+            subQuestionId: p.sqId,
+            score: Math.floor(p.points * 0.8),
+            reason: p.sqId ? "(Mock) Sub-question graded." : "(Mock) Graded.",
+            questionText: p.sqId ? p.spec.text : p.text,
+            modelAnswer: p.modelAnswer
+        }));
+    }
+
+    // 回答画像は Drive から読み込んでおく (一貫性モードで複数回採点しても読み込みは 1 回)。
+    // 読み込めなかった回答は画像なしで採点せず、採点エラーとして教員の確認に回す
+    const unreadable = [];
+    const gradable = problemList.filter(p => {
+        if (!p.images || p.images.length === 0 || p.imageData) return true;
+        try {
+            p.imageData = p.images.map(_loadAnswerImage);
+            return true;
+        } catch (e) {
+            console.error('Answer image load failed:', p.qId, p.sqId, e);
+            unreadable.push(_toGradingResult(p, { score: 0, reason: '採点エラー: 回答画像を読み込めませんでした。' }));
+            return false;
+        }
+    });
+    if (gradable.length === 0) return unreadable;
+
+    // チャンクサイズを10に拡大 (リクエスト数削減)。画像が多い場合は 1 リクエストの画像の枚数・容量が上限を超えないよう分ける
+    const CHUNK_SIZE = 10;
+    const chunks = [];
+    let current = [];
+    let currentImages = 0;
+    let currentChars = 0;
+    gradable.forEach(p => {
+        const n = p.imageData ? p.imageData.length : 0;
+        const chars = (p.imageData || []).reduce((sum, img) => sum + img.data.length, 0);
+        if (current.length > 0 && (current.length >= CHUNK_SIZE || currentImages + n > GRADING_MAX_IMAGES_PER_REQUEST ||
+            currentChars + chars > GRADING_MAX_IMAGE_CHARS_PER_REQUEST)) {
+            chunks.push(current);
+            current = [];
+            currentImages = 0;
+            currentChars = 0;
+        }
+        current.push(p);
+        currentImages += n;
+        currentChars += chars;
+    });
+    chunks.push(current);
+
+    const requests = chunks.map(chunk => provider.buildRequest(_buildGradingPrompt(chunk, promptVariant), config, _gradingImages(chunk)));
+
+    // リトライ付き並列実行
+    let responses = [];
+    try {
+        responses = _fetchAllWithRetry(requests);
+    } catch (e) {
+        console.error("Critical Grading Error:", e);
+        return unreadable.concat(gradable.map(p => ({
+            questionId: p.qId,
+            subQuestionId: p.sqId,
+            score: 0,
+            reason: "システムエラー: 採点処理に失敗しました。",
+            questionText: p.text,
+            modelAnswer: p.modelAnswer
+        })));
+    }
+
+    let allResults = unreadable;
+
+    // レスポンス処理
+    responses.forEach((response, i) => {
+        const chunk = chunks[i];
+
+        // レスポンスがない、またはエラーの場合
+        if (!response || response.getResponseCode() !== 200) {
+            console.error(`Chunk ${i} Failed:`, response ? response.getContentText() : "No response");
+            allResults = allResults.concat(chunk.map(p => ({
+                questionId: p.qId,
+                subQuestionId: p.sqId,
+                score: 0,
+                reason: "採点エラー: AIからの応答がありませんでした。",
+                questionText: p.text,
+                modelAnswer: p.modelAnswer
+            })));
+            return;
+        }
+
+        try {
+            let parsedData = provider.parseResponse(JSON.parse(response.getContentText()));
+
+            if (!Array.isArray(parsedData)) {
+                parsedData = [];
+            }
+
+            // マッピング
+            const mapped = parsedData.map(r => {
+                const idx = Number(r.index);
+                if (!Number.isInteger(idx) || idx < 0 || idx >= chunk.length) return null;
+                return _toGradingResult(chunk[idx], r);
+            }).filter(Boolean);
+
+            // マッピング漏れ補完
+            if (mapped.length < chunk.length) {
+                chunk.forEach(p => {
+                    const exists = mapped.find(m => m.questionId === p.qId && m.subQuestionId === p.sqId);
+                    if (!exists) {
+                        mapped.push({
+                            questionId: p.qId,
+                            subQuestionId: p.sqId,
+                            score: 0,
+                            reason: "採点不能: AIが回答を認識できませんでした。",
+                            questionText: p.text,
+                            modelAnswer: p.modelAnswer
+                        });
+                    }
+                });
+            }
+
+            allResults = allResults.concat(mapped);
+
+        } catch (e) {
+            console.error(`Chunk ${i} Parsing Error:`, e);
+            allResults = allResults.concat(chunk.map(p => ({
+                questionId: p.qId,
+                subQuestionId: p.sqId,
+                score: 0,
+                reason: "採点エラー: 結果の解析に失敗しました。",
+                questionText: p.text,
+                modelAnswer: p.modelAnswer
+            })));
+        }
+    });
+
+    return allResults;
+}
+
+/**
+ * 採点結果キャッシュを使った記述式の採点
+ * 同じ問題 (問題文・採点基準・模範解答・配点・採点項目) に同じ回答 (空白・全角半角を正規化) があれば、
+ * 以前の採点結果を再利用して API を呼ばない。採点に失敗した結果と要確認の結果はキャッシュしない。
+ * 画像が添付された回答は同じ回答かどうか判定できないため、キャッシュを使わない。
+ * 大文字と小文字は区別する (15mA と 15MA のように意味が変わる回答があるため)。
+ * 問題を編集するとキーの内容ハッシュが変わるため、古い結果は参照されなくなる。
+ * @param {Array} problemList - _flattenProblems で作成した採点対象 (記述式のみ)
+ */
+function _gradeWithCache(problemList) {
+    const graderKey = _graderSignature();
+    if (!graderKey) return _gradeWithConsistency(problemList);
+    const keyPrefix = _gradingCachePrefix();
+
+    const entries = problemList.map(p => {
+        if (p.images && p.images.length > 0) return { p: p, key: null };
+        const contentHash = _gradingContentHash(p);
+        const answer = typeof p.studentAnswer === 'string' ? p.studentAnswer : JSON.stringify(p.studentAnswer || '');
+        return { p: p, contentHash: contentHash, key: keyPrefix + _digestHex([graderKey, contentHash, _normalizeForCache(answer)].join('\n')) };
+    });
+    const hits = _readGradingCache(entries.filter(e => e.key).map(e => e.key));
+
+    const misses = entries.filter(e => !e.key || !hits[e.key]);
+    const fresh = misses.length > 0 ? _gradeWithConsistency(misses.map(e => e.p)) : [];
+    const keyOf = (qId, sqId) => `${qId}_${sqId || ''}`;
+    const freshMap = {};
+    fresh.forEach(r => { freshMap[keyOf(r.questionId, r.subQuestionId)] = r; });
+    _writeGradingCache(misses.filter(e => e.key).map(e => ({ entry: e, result: freshMap[keyOf(e.p.qId, e.p.sqId)] }))
+        .filter(x => x.result && !_isGradingFailure(x.result) && !(x.result.consistency && x.result.consistency.flagged)));
+
+    return entries.map(e => {
+        const cached = e.key && hits[e.key];
+        if (!cached) return freshMap[keyOf(e.p.qId, e.p.sqId)];
+        // 同じ内容の別の問題 (別パターンなど) の結果もあり得るため、問題の識別情報は現在のものにする
+        return Object.assign({}, cached, {
+            questionId: e.p.qId,
+            subQuestionId: e.p.sqId,
+            questionText: e.p.text,
+            modelAnswer: e.p.modelAnswer,
+            cached: true
+        });
+    }).filter(Boolean);
+}
+
+/**
+ * キャッシュのキーの接頭辞 (世代を含む。clearGradingCache で世代を変えると、CacheService に残った結果も参照されなくなる)
+ */
+function _gradingCachePrefix() {
+    const generation = PropertiesService.getScriptProperties().getProperty(SCRIPT_PROP_KEY_GRADING_CACHE_GENERATION) || '0';
+    return GRADING_CACHE_PREFIX + generation + '_';
+}
+
+/**
+ * キャッシュのキーに使う回答の正規化 (全角半角の統一と空白の整理のみ。大小文字は変えない)
+ */
+function _normalizeForCache(text) {
+    return String(text || '').normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 採点方法の識別子 (プロバイダ・モデル・エンドポイント・一貫性モード)。
+ * 模擬採点やローカルのルール採点はキャッシュしないため空文字を返す。
+ */
+function _graderSignature() {
+    const config = _getGradingConfig();
+    const provider = GRADING_PROVIDERS[config.provider];
+    if (provider.grade || (provider.requiresApiKey && !config.apiKey)) return '';
+    const consistency = _getConsistencyConfig();
+    return JSON.stringify([config.provider, config.model, config.endpoint, consistency]);
+}
+
+/**
+ * 採点に影響する問題の内容のハッシュ (キャッシュのキーと無効化に使う)
+ */
+function _gradingContentHash(p) {
+    const spec = p.spec || {};
+    return _digestHex(JSON.stringify([p.text, spec.criteria || '', spec.modelAnswer || '', Number(p.points), _rubricOf(spec)]));
+}
+
+/**
+ * キャッシュの読み込み (CacheService になければシートを参照し、見つかったものは CacheService に戻す)
+ * @return {Object} key -> 採点結果
+ */
+function _readGradingCache(keys) {
+    const found = {};
+    const cache = CacheService.getScriptCache();
+    const cachedValues = cache.getAll(keys);
+    Object.keys(cachedValues).forEach(k => {
+        try {
+            found[k] = JSON.parse(cachedValues[k]);
+        } catch (e) {
+            console.warn('Broken grading cache entry', k, e);
+        }
+    });
+
+    const remaining = keys.filter(k => !found[k]);
+    if (remaining.length === 0) return found;
+    const sheet = SpreadsheetApp.openById(_getSpreadsheetId()).getSheetByName(SHEET_NAME_GRADING_CACHE);
+    if (!sheet || sheet.getLastRow() < 2) return found;
+
+    const wanted = {};
+    remaining.forEach(k => { wanted[k] = true; });
+    const restore = {};
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, GRADING_CACHE_HEADER.length).getValues().forEach(row => {
+        const k = String(row[0]);
+        if (!wanted[k] || found[k]) return;
+        try {
+            found[k] = JSON.parse(row[4]);
+            restore[k] = String(row[4]);
+        } catch (e) {
+            console.warn('Broken grading cache row', k, e);
+        }
+    });
+    if (Object.keys(restore).length > 0) cache.putAll(restore, GRADING_CACHE_TTL_SEC);
+    return found;
+}
+
+/**
+ * キャッシュへの書き込み (CacheService とシートの両方)
+ * シートが GRADING_CACHE_MAX_ROWS 件を超えたら、先頭 (古い順) の行をまとめて削除する。
+ * @param {Array} items - [{ entry: { p, contentHash, key }, result }]
+ */
+function _writeGradingCache(items) {
+    if (items.length === 0) return;
+    const now = new Date();
+    const values = {};
+    const rows = items.map(x => {
+        // 問題の識別情報は再利用時に付け直すので保存しない
+        const { questionId, subQuestionId, questionText, modelAnswer, ...result } = x.result;
+        const json = JSON.stringify(result);
+        values[x.entry.key] = json;
+        return [x.entry.key, x.entry.p.qId, x.entry.p.sqId || '', x.entry.contentHash, json, now];
+    });
+    try {
+        CacheService.getScriptCache().putAll(values, GRADING_CACHE_TTL_SEC);
+        const sheet = _getGradingCacheSheet(SpreadsheetApp.openById(_getSpreadsheetId()));
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, GRADING_CACHE_HEADER.length).setValues(rows);
+        const excess = sheet.getLastRow() - 1 - GRADING_CACHE_MAX_ROWS;
+        if (excess > 0) sheet.deleteRows(2, excess);
+    } catch (e) {
+        // キャッシュの保存に失敗しても採点結果は返す
+        console.error('Grading cache write failed:', e);
+    }
+}
+
+function _getGradingCacheSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_GRADING_CACHE);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_GRADING_CACHE);
+        sheet.appendRow(GRADING_CACHE_HEADER);
+    }
+    return sheet;
+}
+
+/**
+ * 採点結果キャッシュの全消去
+ * シートの行を削除し、キーの世代を変える (CacheService に残った分は最長6時間で失効するまで参照されない)。
+ * @param {string} adminToken - 管理者トークン
+ */
+function clearGradingCache(adminToken) {
+    _requireAdmin(adminToken);
+    try {
+        return _withScriptLock(() => {
+            PropertiesService.getScriptProperties().setProperty(SCRIPT_PROP_KEY_GRADING_CACHE_GENERATION, Utilities.getUuid().slice(0, 8));
+            const sheet = SpreadsheetApp.openById(_getSpreadsheetId()).getSheetByName(SHEET_NAME_GRADING_CACHE);
+            const count = sheet ? Math.max(0, sheet.getLastRow() - 1) : 0;
+            if (count > 0) sheet.deleteRows(2, count);
+            return { success: true, message: `採点結果キャッシュを ${count} 件削除しました。` };
+        });
+    } catch (e) {
+        console.error('clearGradingCache Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+/**
+ * 一貫性モードでの記述式の採点
+ * 設定した回数だけ (プロンプトの言い回しや追加プロバイダを切り替えながら) 採点し、中央値または多数決で得点を決める。
+ * 得点の幅が配点の spreadPercent % を超えた問題や、一部の採点に失敗した問題には consistency.flagged を立てる。
+ * @param {Array} problemList - _flattenProblems で作成した採点対象 (記述式のみ)
+ */
+function _gradeWithConsistency(problemList) {
+    const consistency = _getConsistencyConfig();
+    if (consistency.samples <= 1) return _gradeWithProvider(problemList);
+
+    const primary = _getGradingConfig();
+    const providerIds = [primary.provider].concat(consistency.providers.filter(id => id !== primary.provider));
+    const runs = [];
+    for (let i = 0; i < consistency.samples; i++) {
+        const config = i % providerIds.length === 0 ? primary : _getGradingConfig(providerIds[i % providerIds.length]);
+        const variant = GRADING_PROMPT_VARIANTS[i % GRADING_PROMPT_VARIANTS.length];
+        const results = _gradeWithProvider(problemList, config, variant);
+        const byKey = {};
+        results.forEach(r => { byKey[`${r.questionId}_${r.subQuestionId || ''}`] = r; });
+        runs.push({ source: config.provider, byKey: byKey });
+    }
+
+    return problemList.map(p => {
+        const key = `${p.qId}_${p.sqId || ''}`;
+        const samples = runs.map(run => ({ source: run.source, result: run.byKey[key] })).filter(s => s.result);
+        return _aggregateSamples(p, samples, consistency);
+    });
+}
+
+/**
+ * 複数回の採点結果を 1 つにまとめる
+ * 得点に最も近い回の講評・採点項目を採用し、各回の得点を consistency に残す。
+ */
+function _aggregateSamples(p, samples, consistency) {
+    const valid = samples.filter(s => !_isGradingFailure(s.result));
+    const summary = {
+        aggregation: consistency.aggregation,
+        samples: samples.map(s => ({ source: s.source, score: s.result.score, failed: _isGradingFailure(s.result) })),
+        spread: 0,
+        flagged: true
+    };
+    if (valid.length === 0) {
+        const failed = samples[0] ? samples[0].result : _toGradingResult(p, { score: 0, reason: '採点エラー: 採点結果がありません。' });
+        return Object.assign({}, failed, { consistency: summary });
+    }
+
+    const scores = valid.map(s => s.result.score).sort((a, b) => a - b);
+    const score = _clampScore(consistency.aggregation === 'majority' ? _majorityScore(scores) : _medianScore(scores), p.points);
+    summary.spread = scores[scores.length - 1] - scores[0];
+    summary.flagged = valid.length < consistency.samples || summary.spread > Number(p.points) * consistency.spreadPercent / 100;
+
+    const closest = valid.reduce((best, s) => Math.abs(s.result.score - score) < Math.abs(best.result.score - score) ? s : best);
+    return Object.assign({}, closest.result, { score: score, consistency: summary });
+}
+
+function _medianScore(sorted) {
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * 最も多く出た得点 (同数で並んだ場合は中央値)
+ */
+function _majorityScore(sorted) {
+    const counts = {};
+    sorted.forEach(s => { counts[s] = (counts[s] || 0) + 1; });
+    const top = Math.max.apply(null, Object.keys(counts).map(k => counts[k]));
+    const modes = sorted.filter((s, i) => counts[s] === top && sorted.indexOf(s) === i);
+    return modes.length === 1 ? modes[0] : _medianScore(sorted);
+}
+
+/**
+ * 採点に失敗した結果かどうか (得点 0 のまま、講評が GRADING_FAILURE_PREFIXES のいずれかで始まる)
+ */
+function _isGradingFailure(result) {
+    if (!result) return true;
+    const reason = String(result.reason || '');
+    return GRADING_FAILURE_PREFIXES.some(prefix => reason.indexOf(prefix) === 0);
+}
+
+/**
+ * プロバイダの採点結果 (score, reason, items) を採点結果の形式に変換する
+ * 採点項目がある問題は項目ごとの得点の合計を得点とし、項目・問題とも配点の範囲 (0〜配点) に収める。
+ * @param {Object} p - _flattenProblems の採点対象
+ * @param {Object} raw - { score, reason, items: [{ item, score, reason }] }
+ */
+function _toGradingResult(p, raw) {
+    const result = {
+        questionId: p.qId,
+        subQuestionId: p.sqId,
+        score: 0,
+        reason: String(raw.reason || ''),
+        questionText: p.text,    // Include text
+        modelAnswer: p.modelAnswer // Include model answer
+    };
+    let score = raw.score;
+    const rubric = _rubricOf(p.spec);
+    if (rubric.length > 0 && Array.isArray(raw.items) && raw.items.length > 0) {
+        const byItem = {};
+        raw.items.forEach(it => { if (it) byItem[Number(it.item)] = it; });
+        result.rubric = rubric.map((r, k) => {
+            const it = byItem[k];
+            const itemScore = it ? _clampScore(it.score, r.points) : 0;
+            return {
+                id: r.id,
+                text: r.text,
+                points: r.points,
+                score: itemScore,
+                met: itemScore >= r.points,
+                reason: it ? String(it.reason || '') : '採点結果がありません。'
+            };
+        });
+        score = result.rubric.reduce((sum, r) => sum + r.score, 0);
+    }
+    result.score = _clampScore(score, p.points);
+    return result;
+}
+
+/**
+ * 得点を 0〜上限 に収める (数値でなければ 0)
+ */
+function _clampScore(value, max) {
+    const n = Number(value);
+    const limit = Math.max(0, Number(max) || 0);
+    if (!isFinite(n)) return 0;
+    return Math.min(Math.max(n, 0), limit);
+}
+
+/**
+ * 記述式の採点項目 (内容と配点が有効なものだけ)
+ * @return {Array} [{ id, text, points }]
+ */
+function _rubricOf(item) {
+    if (!item || !Array.isArray(item.rubric)) return [];
+    return item.rubric
+        .filter(r => r && String(r.text || '').trim() && isFinite(Number(r.points)) && Number(r.points) > 0)
+        .map((r, k) => ({ id: r.id || 'r' + (k + 1), text: String(r.text).trim(), points: Number(r.points) }));
+}
+
+/**
+ * 採点プロンプトの構築 (全プロバイダ共通)
+ * 各問題の index (チャンク内の番号) と score, reason を JSON 配列で返すよう指示する。
+ */
+function _buildGradingPrompt(chunk, variant) {
+    let promptText = `
+    あなたは電気工学の専門家かつ厳格な採点者です。以下の試験問題に対する学生の回答を一括で採点してください。
+    各問題に対して、必ず JSON 配列の形式で [index, score, reason] を返してください。
+    「採点項目」がある問題は、items に項目ごとの [item (項目番号), score, reason] も返してください。
+    項目ごとの score はその項目の配点を超えないこと、問題全体の score は配点を超えないことを守ってください。${variant ? '\n    ' + variant : ''}${chunk.some(p => p.imageData && p.imageData.length > 0) ? `
+    「添付画像」がある問題は、リストの後に続く「ID: n の回答画像」も学生の回答の一部です。
+    手書きの計算過程や図を読み取り、途中の考え方や式が正しければ、最終的な答えが誤っていても部分点を与えてください。
+    読み取れない画像は、その旨を reason に書いてください。` : ''}
+
+    【採点対象リスト】
+    `;
+    chunk.forEach((p, index) => {
+        const ans = typeof p.studentAnswer === 'string' ? p.studentAnswer : JSON.stringify(p.studentAnswer);
+        const imageCount = p.imageData ? p.imageData.length : 0;
+        const rubric = _rubricOf(p.spec);
+        const rubricText = rubric.length === 0 ? '' : `
+    採点項目:
+` + rubric.map((r, k) => `      項目${k}: ${r.text} (${r.points}点)`).join('\n');
+        promptText += `
+    ---
+    ID: ${index}
+    [問題ID: ${p.qId}${p.sqId ? '_' + p.sqId : ''}]
+    問題文: ${p.text}
+    配点: ${p.points}点
+    採点基準: ${p.criteria}${rubricText}
+    学生の回答: ${ans || (imageCount > 0 ? '(文章での回答なし。添付画像を参照)' : '(未回答)')}${imageCount > 0 ? `
+    添付画像: ${imageCount}枚` : ''}
+    `;
+    });
+    return promptText;
+}
+
+/**
+ * チャンク内の回答画像 (プロンプトの ID と対応づけるラベル付き)
+ * @return {Array} [{ label, mimeType, data }]
+ */
+function _gradingImages(chunk) {
+    const images = [];
+    chunk.forEach((p, index) => {
+        (p.imageData || []).forEach((img, k) => {
+            images.push({ label: `ID: ${index} の回答画像 ${k + 1}`, mimeType: img.mimeType, data: img.data });
+        });
+    });
+    return images;
+}
+
+/**
+ * AI の応答テキストから JSON を取り出す (```json ... ``` で囲まれていても可)
+ */
+function _parseJsonText(text) {
+    const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    return JSON.parse(trimmed);
+}
+
+// --- Gemini ---
+
+function _geminiRequest(promptText, config, images) {
+    // 回答画像はラベルのテキストと inline_data の組で、プロンプトの後に続ける
+    const parts = [{ text: promptText }];
+    (images || []).forEach(img => {
+        parts.push({ text: img.label }, { inline_data: { mime_type: img.mimeType, data: img.data } });
+    });
+    // リクエストペイロード (Strict JSON Mode)
+    return {
+        url: `${config.endpoint}/models/${encodeURIComponent(config.model)}:generateContent?key=${config.apiKey}`,
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify({
+            contents: [{ parts: parts }],
+            generationConfig: {
+                response_mime_type: "application/json",
+                response_schema: {
+                    type: "ARRAY",
+                    items: {
+                        type: "OBJECT",
+                        properties: {
+                            index: { type: "INTEGER" },
+                            score: { type: "INTEGER" },
+                            reason: { type: "STRING" },
+                            items: {
+                                type: "ARRAY",
+                                items: {
+                                    type: "OBJECT",
+                                    properties: {
+                                        item: { type: "INTEGER" },
+                                        score: { type: "INTEGER" },
+                                        reason: { type: "STRING" }
+                                    },
+                                    required: ["item", "score", "reason"]
+                                }
+                            }
+                        },
+                        required: ["index", "score", "reason"]
+                    }
+                }
+            }
+        }),
+        muteHttpExceptions: true
+    };
+}
+
+function _geminiParseResponse(data) {
+    if (data.candidates && data.candidates[0].content && data.candidates[0].content.parts[0].text) {
+        return _parseJsonText(data.candidates[0].content.parts[0].text);
+    }
+    return [];
+}
+
+function _geminiTestConnection(config) {
+    // 利用可能なモデル一覧を取得するAPI
+    const response = UrlFetchApp.fetch(`${config.endpoint}/models?key=${config.apiKey}`, { muteHttpExceptions: true });
+    const code = response.getResponseCode();
+    const text = response.getContentText();
+    if (code !== 200) return { success: false, message: `エラー (${code}): ${text}` };
+
+    const names = (JSON.parse(text).models || []).map(m => String(m.name).replace(/^models\//, ''));
+    const available = names.indexOf(config.model) >= 0;
+    return {
+        success: available,
+        message: (available ? `接続成功！モデル ${config.model} を利用できます。` : `接続できましたが、モデル ${config.model} が見つかりません。`) +
+            '\n利用可能モデル: ' + names.filter(n => n.indexOf('gemini') >= 0).join(', ')
+    };
+}
+
+// --- OpenAI 互換 (Chat Completions) ---
+
+function _openAiRequest(promptText, config, images) {
+    const headers = {};
+    if (config.apiKey) headers.Authorization = 'Bearer ' + config.apiKey;
+    // 回答画像がある場合は content を配列にし、data URL の image_url として渡す
+    let content = promptText;
+    if (images && images.length > 0) {
+        content = [{ type: 'text', text: promptText }];
+        images.forEach(img => {
+            content.push({ type: 'text', text: img.label }, { type: 'image_url', image_url: { url: `data:${img.mimeType};base64,${img.data}` } });
+        });
+    }
+    return {
+        url: `${config.endpoint}/chat/completions`,
+        method: 'post',
+        contentType: 'application/json',
+        headers: headers,
+        payload: JSON.stringify({
+            model: config.model,
+            temperature: 0,
+            // json_object は配列を返せないため { "results": [...] } で包むよう指示する
+            response_format: { type: 'json_object' },
+            messages: [
+                { role: 'system', content: '回答は {"results": [{"index": 数値, "score": 数値, "reason": "文字列", "items": [{"item": 数値, "score": 数値, "reason": "文字列"}]}, ...]} 形式の JSON のみで返してください (items は採点項目がある問題のみ)。' },
+                { role: 'user', content: content }
+            ]
+        }),
+        muteHttpExceptions: true
+    };
+}
+
+function _openAiParseResponse(data) {
+    const message = data.choices && data.choices[0] && data.choices[0].message;
+    if (!message || !message.content) return [];
+    const parsed = _parseJsonText(message.content);
+    return Array.isArray(parsed) ? parsed : (parsed.results || []);
+}
+
+function _openAiTestConnection(config) {
+    const headers = {};
+    if (config.apiKey) headers.Authorization = 'Bearer ' + config.apiKey;
+    const response = UrlFetchApp.fetch(`${config.endpoint}/models`, { headers: headers, muteHttpExceptions: true });
+    const code = response.getResponseCode();
+    const text = response.getContentText();
+    if (code !== 200) return { success: false, message: `エラー (${code}): ${text}` };
+
+    const names = (JSON.parse(text).data || []).map(m => String(m.id));
+    // ローカルサーバーなどモデル一覧を返さない実装もあるため、一覧が空なら接続成功とみなす
+    const available = names.length === 0 || names.indexOf(config.model) >= 0;
+    return {
+        success: available,
+        message: (available ? `接続成功！モデル ${config.model} を利用できます。` : `接続できましたが、モデル ${config.model} が見つかりません。`) +
+            (names.length > 0 ? '\n利用可能モデル: ' + names.join(', ') : '')
+    };
+}
+
+// --- ルールベース ---
+
+/**
+ * キーワード一致による決定的な採点 (AI を使わない動作確認・オフライン用)
+ * 採点基準の「」や "" で囲んだ語句をキーワードとし、なければ模範解答を区切った語句を使う。
+ * 含まれていたキーワードの割合で部分点を与える。
+ * 採点項目がある場合は項目ごとに判定し、項目のキーワード (「」がなければ項目の文言) をすべて含めば満点とする。
+ * 回答画像は読み取れないため、画像だけの回答は採点不能として教員の確認に回す。
+ */
+function _gradeByRules(problemList) {
+    return problemList.map(p => {
+        const answer = _normalizeForRule(typeof p.studentAnswer === 'string' ? p.studentAnswer : JSON.stringify(p.studentAnswer || ''));
+        const rubric = _rubricOf(p.spec);
+        const imageCount = p.images ? p.images.length : 0;
+        if (!answer && imageCount > 0) {
+            return _toGradingResult(p, { score: 0, reason: `採点不能: 回答画像 (${imageCount}枚) はルールベースの採点では読み取れません。教員が確認してください。` });
+        }
+        if (!answer) return _toGradingResult(p, { score: 0, reason: '未回答です。' });
+
+        if (rubric.length > 0) {
+            const items = rubric.map((r, k) => {
+                const keywords = _quotedKeywords(r.text);
+                const required = keywords.length > 0 ? keywords : [r.text];
+                const missing = required.filter(w => answer.indexOf(_normalizeForRule(w)) < 0);
+                return {
+                    item: k,
+                    score: missing.length === 0 ? r.points : 0,
+                    reason: missing.length === 0 ? '満たしています。' : `不足: ${missing.join('、')}`
+                };
+            });
+            const met = items.filter(it => it.score > 0).length;
+            return _toGradingResult(p, { reason: `採点項目 ${met}/${rubric.length} 個を満たしています。`, items: items });
+        }
+
+        const keywords = _ruleKeywords(p);
+        if (keywords.length === 0) {
+            return _toGradingResult(p, { score: 0, reason: '採点エラー: 採点基準・模範解答にキーワードがないため自動採点できません。' });
+        }
+        const hits = keywords.filter(k => answer.indexOf(_normalizeForRule(k)) >= 0);
+        const missing = keywords.filter(k => hits.indexOf(k) < 0);
+        return _toGradingResult(p, {
+            score: Math.floor(Number(p.points) * hits.length / keywords.length),
+            reason: missing.length === 0
+                ? 'キーワードをすべて含んでいます。'
+                : `キーワード ${hits.length}/${keywords.length} 個一致 (不足: ${missing.join('、')})`
+        });
+    });
+}
+
+function _ruleKeywords(p) {
+    const quoted = _quotedKeywords(p.criteria);
+    if (quoted.length > 0) return quoted;
+    return String(p.modelAnswer || '').split(/[、。,.\s\/・]+/).map(s => s.trim()).filter(Boolean);
+}
+
+function _quotedKeywords(text) {
+    const quoted = [];
+    const re = /[「"“]([^」"”]+)[」"”]/g;
+    let m;
+    while ((m = re.exec(String(text || ''))) !== null) quoted.push(m[1].trim());
+    return quoted.filter(Boolean);
+}
+
+function _normalizeForRule(text) {
+    return String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * UrlFetchApp.fetchAll ラッパー: 指数バックオフによるリトライ実装
+ * @param {Array} requests - UrlFetchAppのリクエストオブジェクト配列
+ * @param {number} maxRetries - 最大リトライ回数 (デフォルト3)
+ * @return {Array} responses - UrlFetchApp.HTTPResponseの配列 (失敗時はnullが入る可能性あり)
+ */
+function _fetchAllWithRetry(requests, maxRetries = 3) {
+    let results = new Array(requests.length).fill(null);
+    let pendingIndices = requests.map((_, i) => i);
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (pendingIndices.length === 0) break;
+
+        const currentRequests = pendingIndices.map(i => requests[i]);
+        let batchResponses = [];
+        let fetchError = null;
+
+        try {
+            // 並列リクエスト実行
+            batchResponses = UrlFetchApp.fetchAll(currentRequests);
+        } catch (e) {
+            fetchError = e;
+            console.warn(`FetchAll Attempt ${attempt + 1} Error: ${e}`);
+        }
+
+        const nextPending = [];
+
+        if (fetchError) {
+            // fetchAll自体が落ちた場合 (DNSエラー等)、全件リトライ対象
+            // ただし、fetchAllは全か無かなので、個別のステータスコードは不明。
+            // ネットワークエラーとみなして全件リトライ。
+            nextPending.push(...pendingIndices);
+        } else {
+            // 個別のレスポンスをチェック
+            batchResponses.forEach((res, i) => {
+                const originalIndex = pendingIndices[i];
+                const code = res.getResponseCode();
+
+                // 429 (Too Many Requests) または 5xx (Server Error) はリトライ
+                if (code === 429 || code >= 500) {
+                    console.warn(`Request ${originalIndex} failed with ${code}. Retrying...`);
+                    nextPending.push(originalIndex);
+                } else {
+                    results[originalIndex] = res;
+                }
+            });
+        }
+
+        pendingIndices = nextPending;
+
+        if (pendingIndices.length > 0) {
+            if (attempt < maxRetries) {
+                // 指数バックオフ (1s, 2s, 4s...) + ジッター
+                const sleepMs = Math.pow(2, attempt) * 1000 + Math.floor(Math.random() * 1000);
+                Utilities.sleep(sleepMs);
+            } else {
+                console.error("Max retries reached. Some requests failed.");
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * 回答ログをシートに保存
+ */
+function _saveResponseLog(questions, answers, gradingResults, totalScore, sessionId, versionId) {
+    const ssId = _getSpreadsheetId();
+    const ss = SpreadsheetApp.openById(ssId);
+    const sheet = _getResponsesSheet(ss);
+
+    const detailObj = {
+        versionId: versionId || '',
+        answers: answers,
+        grading: gradingResults
+    };
+
+    sheet.appendRow([
+        new Date(),
+        totalScore,
+        sessionId || '',
+        JSON.stringify(detailObj)
+    ]);
+}
+
+/**
+ * Responsesシートの取得 (なければ作成)
+ */
+function _getResponsesSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_RESPONSES);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_RESPONSES);
+        sheet.appendRow(RESPONSES_HEADER); // Header
+    }
+    return sheet;
+}
+
+/**
+ * 受験結果の一覧 (管理者用)
+ * @param {string} adminToken - 管理者トークン
+ * @param {string} patternTitle - (Optional) 試験パターンで絞り込む
+ * @return {Object} { success, results: [{ sessionId, name, studentId, attempt, counted, pattern, score, maxScore, timestamp, deadline, status, versionId, integrity }], patterns }
+ *   counted: 同じ受験者が複数回受験した場合に、試験設定の「採用する回」で成績として採用される回かどうか
+ *   integrity: 受験中の行動記録の集計 (_summarizeIntegrity。記録がなければ null)
+ */
+function getResults(adminToken, patternTitle) {
+    _requireAdmin(adminToken);
+    try {
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const rows = _readResultRows(ss);
+        const patterns = {};
+        rows.forEach(r => { patterns[r.pattern] = true; });
+        const results = patternTitle ? rows.filter(r => r.pattern === String(patternTitle)) : rows;
+        const integrity = _readIntegrityEvents(ss);
+        results.forEach(r => { r.integrity = _summarizeIntegrity(integrity[r.sessionId]); });
+        return { success: true, results: results, patterns: Object.keys(patterns).filter(Boolean).sort() };
+    } catch (e) {
+        console.error('getResults Error:', e);
+        return { success: false, message: '結果取得エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 点数表の全セッション (受験結果の一覧・成績一覧の書き出しで共通)
+ */
+function _readResultRows(ss) {
+    const sheet = _getScoreTableSheet(ss);
+    const data = sheet.getDataRange().getValues();
+    const maxScores = _getSnapshotMaxScores(ss);
+
+    const results = [];
+    for (let i = 1; i < data.length; i++) {
+        const v = {};
+        SCORE_TABLE_HEADER.forEach((key, c) => { v[key] = data[i][c] !== undefined ? data[i][c] : ''; });
+        if (!v.ID) continue;
+
+        const versionId = String(v.VersionId || '');
+        results.push({
+            sessionId: String(v.ID),
+            name: String(v.Name || ''),
+            studentId: String(v.StudentID || ''),
+            attempt: Number(v.Attempt) || null,
+            pattern: String(v.Pattern || ''),
+            score: (v.Score === '' || v.Score === null) ? null : Number(v.Score),
+            maxScore: maxScores[versionId] !== undefined ? maxScores[versionId] : null,
+            timestamp: v.Timestamp ? new Date(v.Timestamp).toISOString() : '',
+            deadline: v.Deadline ? new Date(v.Deadline).toISOString() : '',
+            status: String(v.Status || ''),
+            reviewState: String(v.ReviewState || ''),
+            deploymentId: String(v.DeploymentId || ''),
+            versionId: versionId
+        });
+    }
+    _markCountedAttempts(results, ss);
+    return results;
+}
+
+/**
+ * 受験者・パターンごとに、成績として採用する回に counted: true をつける
+ * 採点済みの回だけが対象。採用の規則 (best / latest / first) は最後に受験した公開の試験設定に従う。
+ */
+function _markCountedAttempts(results, ss) {
+    const policies = {};
+    policies[DEFAULT_DEPLOYMENT_ID] = _getExamSettings().attemptPolicy;
+    _readDeployments(ss).forEach(d => { policies[d.id] = d.settings.attemptPolicy; });
+
+    const groups = {};
+    results.forEach(r => {
+        r.counted = false;
+        const key = _candidateKey(r.studentId, r.name) + '\n' + r.pattern;
+        (groups[key] = groups[key] || []).push(r);
+    });
+    Object.keys(groups).forEach(key => {
+        const attempts = groups[key].slice().sort((a, b) => a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0);
+        const graded = attempts.filter(r => r.score !== null);
+        if (graded.length === 0) return;
+        const last = attempts[attempts.length - 1];
+        const policy = policies[last.deploymentId || DEFAULT_DEPLOYMENT_ID] || 'best';
+        let chosen;
+        if (policy === 'first') {
+            chosen = graded[0];
+        } else if (policy === 'latest') {
+            chosen = graded[graded.length - 1];
+        } else {
+            // 同点なら先に受験した回
+            chosen = graded.reduce((best, r) => r.score > best.score ? r : best, graded[0]);
+        }
+        chosen.counted = true;
+    });
+}
+
+/**
+ * 受験者ごとの採点詳細 (管理者用)
+ * 受験時の問題セット (模範解答を含む) と、最新の採点結果、回答画像の一覧、受験中の行動記録を返す。
+ * @param {string} adminToken - 管理者トークン
+ * @param {string} sessionId - セッションID
+ */
+function getResultDetail(adminToken, sessionId) {
+    _requireAdmin(adminToken);
+    try {
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const found = _findScoreRow(_getScoreTableSheet(ss), sessionId);
+        if (!found) return { success: false, message: 'セッションが見つかりませんでした。' };
+
+        const v = found.values;
+        const snapshot = _getSessionQuestions(sessionId);
+        const response = _findLatestResponse(sessionId);
+        const detail = response ? response.detail : {};
+        const overrides = _getScoreOverrides(sessionId);
+        const integrityEvents = _readIntegrityEvents(ss, sessionId)[String(v.ID)] || [];
+
+        return {
+            success: true,
+            candidate: {
+                sessionId: String(v.ID),
+                name: String(v.Name || ''),
+                studentId: String(v.StudentID || ''),
+                attempt: Number(v.Attempt) || null,
+                pattern: String(v.Pattern || ''),
+                score: (v.Score === '' || v.Score === null) ? null : Number(v.Score),
+                timestamp: v.Timestamp ? new Date(v.Timestamp).toISOString() : '',
+                status: String(v.Status || ''),
+                reviewState: String(v.ReviewState || ''),
+                versionId: snapshot.versionId
+            },
+            questions: snapshot.questions.filter(q => q.isPublished !== false),
+            answers: detail.answers || {},
+            results: _applyScoreOverrides(detail.grading || [], overrides),
+            overrides: overrides,
+            gradedAt: response && response.graded ? new Date(response.timestamp).toISOString() : '',
+            answerImages: _readAnswerImages(ss, sessionId),
+            integrity: { summary: _summarizeIntegrity(integrityEvents), events: integrityEvents }
+        };
+    } catch (e) {
+        console.error('getResultDetail Error:', e);
+        return { success: false, message: '結果取得エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 問題 (または小問) ごとの得点の手動修正 (管理者用)
+ * 元の採点結果は Responses に残し、修正内容は ScoreOverrides シートに履歴として追記する。
+ * @param {string} adminToken - 管理者トークン
+ * @param {string} sessionId - セッションID
+ * @param {string} questionId - 問題ID
+ * @param {string} subQuestionId - 小問ID (親問題の場合は空)
+ * @param {number} score - 修正後の得点
+ * @param {string} comment - 修正理由
+ * @return {Object} { success, totalScore, results, overrides, message }
+ */
+function overrideScore(adminToken, sessionId, questionId, subQuestionId, score, comment) {
+    const admin = _requireAdmin(adminToken);
+    try {
+        return _withScriptLock(() => {
+            const response = _findLatestResponse(sessionId);
+            if (!response || !response.graded) {
+                return { success: false, message: '採点済みの結果が見つかりませんでした。' };
+            }
+
+            const key = _resultKey(questionId, subQuestionId);
+            const grading = response.detail.grading || [];
+            const original = grading.find(r => _resultKey(r.questionId, r.subQuestionId) === key);
+            if (!original) return { success: false, message: '対象の問題が採点結果に見つかりませんでした。' };
+
+            const maxPoints = _findMaxPoints(_getSessionQuestions(sessionId).questions, questionId, subQuestionId);
+            const value = Number(score);
+            if (score === '' || score === null || isNaN(value) || value < 0 || (maxPoints !== null && value > maxPoints)) {
+                return { success: false, message: `得点は 0 〜 ${maxPoints} の範囲で入力してください。` };
+            }
+
+            const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+            let sheet = ss.getSheetByName(SHEET_NAME_SCORE_OVERRIDES);
+            if (!sheet) {
+                sheet = ss.insertSheet(SHEET_NAME_SCORE_OVERRIDES);
+                sheet.appendRow(SCORE_OVERRIDES_HEADER);
             }
+            sheet.appendRow([new Date(), sessionId, questionId, subQuestionId || '', original.score, value, comment || '', admin.user || '']);
+
+            // 修正を反映した合計点で点数表を更新
+            const overrides = _getScoreOverrides(sessionId);
+            const results = _applyScoreOverrides(grading, overrides);
+            const totalScore = results.reduce((sum, r) => sum + (Number(r.score) || 0), 0);
+            _updateScoreTable(sessionId, totalScore);
+
+            return { success: true, totalScore: totalScore, results: results, overrides: overrides, message: '得点を修正しました。' };
+        });
+    } catch (e) {
+        console.error('overrideScore Error:', e);
+        return { success: false, message: '修正エラー: ' + e.toString() };
+    }
+}
+
+/**
+ * 確認状態の変更 (管理者用)
+ * @param {string} adminToken - 管理者トークン
+ * @param {string} sessionId - セッションID
+ * @param {string} reviewState - unreviewed / reviewed / needs_attention
+ */
+function setReviewState(adminToken, sessionId, reviewState) {
+    _requireAdmin(adminToken);
+    try {
+        if (REVIEW_STATES.indexOf(reviewState) < 0) throw new Error('不正な確認状態です: ' + reviewState);
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        if (!_findScoreRow(_getScoreTableSheet(ss), sessionId)) {
+            return { success: false, message: 'セッションが見つかりませんでした。' };
+        }
+        _updateScoreTable(sessionId, undefined, null, reviewState);
+        return { success: true, reviewState: reviewState };
+    } catch (e) {
+        console.error('setReviewState Error:', e);
+        return { success: false, message: '更新エラー: ' + e.toString() };
+    }
+}
 
-            // Col 7 (index 6) が modelAnswer
-            const modelAnswer = (row.length >= 7) ? row[6] : '';
-            // Col 8 (index 7) が referenceDiagramId
-            const referenceDiagramId = (row.length >= 8) ? row[7] : '';
-            // Col 9 (index 8) が isPublished
-            // String "TRUE"/"FALSE" として保存されていることを前提にする
-            // 空の場合は旧互換で True
-            let isPublished = true;
-            if (row.length >= 9 && row[8] !== '') {
-                const val = String(row[8]).trim().toUpperCase();
-                if (val === 'FALSE') {
-                    isPublished = false;
-                } else {
-                    // "TRUE" or anything else is treated as visible
-                    isPublished = true;
-                }
-            }
+/**
+ * セッションの得点修正履歴 (古い順)
+ */
+function _getScoreOverrides(sessionId) {
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    const sheet = ss.getSheetByName(SHEET_NAME_SCORE_OVERRIDES);
+    if (!sheet || sheet.getLastRow() < 2) return [];
 
-            return {
-                id: row[0],
-                text: row[1],
-                imageUrl: row[2],
-                points: Number(row[3]),
-                criteria: row[4] || '',
-                subQuestions: subQuestions,
-                modelAnswer: modelAnswer,
-                referenceDiagramId: referenceDiagramId,
-                isPublished: isPublished
-            };
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, SCORE_OVERRIDES_HEADER.length).getValues();
+    return data.filter(row => String(row[1]) === String(sessionId)).map(_toScoreOverride);
+}
+
+function _toScoreOverride(row) {
+    return {
+        timestamp: row[0] ? new Date(row[0]).toISOString() : '',
+        questionId: String(row[2]),
+        subQuestionId: row[3] ? String(row[3]) : null,
+        originalScore: Number(row[4]),
+        score: Number(row[5]),
+        comment: String(row[6] || ''),
+        reviewer: String(row[7] || '')
+    };
+}
+
+/**
+ * 採点結果に最新の得点修正を反映する (元の AI 得点は originalScore に残す)
+ */
+function _applyScoreOverrides(results, overrides) {
+    const latest = {};
+    overrides.forEach(o => { latest[_resultKey(o.questionId, o.subQuestionId)] = o; });
+    return results.map(r => {
+        const o = latest[_resultKey(r.questionId, r.subQuestionId)];
+        if (!o) return r;
+        return Object.assign({}, r, {
+            score: o.score,
+            originalScore: r.score,
+            override: { comment: o.comment, reviewer: o.reviewer, timestamp: o.timestamp }
         });
+    });
+}
 
-        if (includeHidden) {
-            return questions;
-        } else {
-            // isPublished が true (または非false) のものだけ残す
-            return questions.filter(q => q.isPublished !== false);
+function _resultKey(questionId, subQuestionId) {
+    return `${questionId}_${subQuestionId || ''}`;
+}
+
+/**
+ * 問題 (または小問) の配点 (見つからない場合は null)
+ */
+function _findMaxPoints(questions, questionId, subQuestionId) {
+    const q = questions.find(q => String(q.id) === String(questionId));
+    if (!q) return null;
+    if (subQuestionId) {
+        const sq = (q.subQuestions || []).find(sq => String(sq.id) === String(subQuestionId));
+        return sq ? Number(sq.points) || 0 : null;
+    }
+    return Number(q.points) || 0;
+}
+
+/**
+ * セッションの最新の回答ログを取得 (採点済みの行を優先し、なければ一時保存の行)
+ * @return {Object|null} { timestamp, graded, detail }
+ */
+function _findLatestResponse(sessionId) {
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    const sheet = ss.getSheetByName(SHEET_NAME_RESPONSES);
+    if (!sheet) return null;
+
+    const data = sheet.getDataRange().getValues();
+    let pending = null;
+    for (let i = data.length - 1; i >= 1; i--) {
+        const row = data[i];
+        if (String(row[2]) !== String(sessionId)) continue;
+        let detail;
+        try {
+            detail = JSON.parse(row[3]);
+        } catch (e) {
+            console.warn('Broken response row', i + 1, e);
+            continue;
         }
-    } catch (e) {
-        console.error(e);
-        // エラー時は空リストを返す（またはエラーをスロー）
-        return [];
+        if (typeof row[1] === 'number') {
+            return { timestamp: row[0], graded: true, detail: detail };
+        }
+        if (!pending) pending = { timestamp: row[0], graded: false, detail: detail };
     }
+    return pending;
 }
 
 /**
- * 受験者の登録 (試験開始時)
- * @param {string} name - 受験者名
- * @param {string} patternTitle - 試験パターン名
- * @return {string} sessionId - セッションID (点数表のID)
+ * スナップショットごとの満点 (公開中の問題の配点合計)
+ * @return {Object} versionId -> 満点
  */
-function registerCandidate(name, patternTitle) {
-    try {
-        if (!name) throw new Error("名前が入力されていません。");
+function _getSnapshotMaxScores(ss) {
+    const sheet = ss.getSheetByName(SHEET_NAME_SNAPSHOTS);
+    const result = {};
+    if (!sheet || sheet.getLastRow() < 2) return result;
 
-        const ssId = _getSpreadsheetId();
-        const ss = SpreadsheetApp.openById(ssId);
-        let sheet = ss.getSheetByName(SHEET_NAME_SCORE_TABLE);
-        if (!sheet) {
-            sheet = ss.insertSheet(SHEET_NAME_SCORE_TABLE);
-            // Header: ID | Date | Name | Pattern | Score
-            sheet.appendRow(['ID', 'Timestamp', 'Name', 'Pattern', 'Score']);
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, SNAPSHOTS_HEADER.length).getValues();
+    data.forEach(row => {
+        try {
+            const questions = JSON.parse(row[3]);
+            result[String(row[0])] = _maxScoreOf(questions);
+        } catch (e) {
+            console.warn('Broken snapshot', row[0], e);
         }
+    });
+    return result;
+}
 
-        const sessionId = Utilities.getUuid();
-        const timestamp = new Date();
+function _maxScoreOf(questions) {
+    return questions.filter(q => q.isPublished !== false).reduce((sum, q) => {
+        if (Array.isArray(q.subQuestions) && q.subQuestions.length > 0) {
+            return sum + q.subQuestions.reduce((s, sq) => s + (Number(sq.points) || 0), 0);
+        }
+        return sum + (Number(q.points) || 0);
+    }, 0);
+}
 
-        sheet.appendRow([sessionId, timestamp, name, patternTitle || '', '']); // Score is empty initially
+// --- 受験中の行動記録 (試験画面の離脱・貼り付け・全画面の解除。受験画面からまとめて送られる) ---
 
-        SpreadsheetApp.flush();
-        return sessionId;
+/**
+ * 受験中の行動記録の受信
+ * 受験画面はイベントをためておき、一定間隔と提出の直前にまとめて送る。
+ * 提出後・期限後 (SUBMISSION_GRACE_SEC の猶予を除く) の記録は受け付けない。受験画面は closed の記録を再送せずに捨てる。
+ * @param {string} sessionId - セッションID
+ * @param {Array} events - [{ type, at, durationMs, length, questionId }]
+ *   type: INTEGRITY_EVENT_TYPES のいずれか / at: 発生時刻 (受験者の端末の時計)
+ *   durationMs: visible・focus で、離れていた時間 / length: paste で、貼り付けた文字数
+ * @return {Object} { success, recorded } / 受け付けない場合は { success: false, closed: true, message }
+ */
+function logIntegrityEvents(sessionId, events) {
+    try {
+        if (!sessionId) throw new Error('Session ID is required.');
+        if (!Array.isArray(events) || events.length === 0) return { success: true, recorded: 0 };
+        if (events.length > INTEGRITY_MAX_EVENTS_PER_BATCH) {
+            return { success: false, message: `一度に送れる記録は ${INTEGRITY_MAX_EVENTS_PER_BATCH} 件までです。` };
+        }
+
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const found = _findScoreRow(_getScoreTableSheet(ss), sessionId);
+        if (!found) return { success: false, message: 'セッションが見つかりませんでした。' };
+        const closedReason = _sessionClosedReason(found.values);
+        if (closedReason) return { success: false, closed: true, message: closedReason };
 
+        const receivedAt = new Date();
+        const rows = events.filter(ev => ev && INTEGRITY_EVENT_TYPES[ev.type]).map(ev => {
+            const at = new Date(ev.at);
+            return [
+                receivedAt,
+                String(sessionId),
+                isNaN(at.getTime()) ? receivedAt : at,
+                ev.type,
+                Math.max(0, Math.round(Number(ev.durationMs) || 0)),
+                Math.max(0, Math.round(Number(ev.length) || 0)),
+                String(ev.questionId || '').slice(0, 100)
+            ];
+        });
+        if (rows.length === 0) return { success: true, recorded: 0 };
+
+        _withScriptLock(() => {
+            const sheet = _getIntegrityLogSheet(ss);
+            sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, INTEGRITY_LOG_HEADER.length).setValues(rows);
+        });
+        return { success: true, recorded: rows.length };
     } catch (e) {
-        console.error("registerCandidate Error:", e);
-        throw e;
+        console.error('logIntegrityEvents Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
+
+function _getIntegrityLogSheet(ss) {
+    let sheet = ss.getSheetByName(SHEET_NAME_INTEGRITY_LOG);
+    if (!sheet) {
+        sheet = ss.insertSheet(SHEET_NAME_INTEGRITY_LOG);
+        sheet.appendRow(INTEGRITY_LOG_HEADER);
     }
+    return sheet;
 }
 
 /**
- * 採点前に回答を一時保存する (タイムアウト対策)
- * @param {Object} answers - 回答オブジェクト
- * @param {string} sessionId - セッションID
+ * 行動記録をセッションごとに読み込む (発生時刻順)
+ * @param {Object} ss - スプレッドシート
+ * @param {string} sessionId - (Optional) 指定したセッションだけを読む
+ * @return {Object} { sessionId: [{ type, at, durationMs, length, questionId }] }
  */
-function saveTemporaryAnswers(answers, sessionId) {
+function _readIntegrityEvents(ss, sessionId) {
+    const sheet = ss.getSheetByName(SHEET_NAME_INTEGRITY_LOG);
+    const data = sheet ? sheet.getDataRange().getValues() : [];
+    const bySession = {};
+    for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        const id = String(row[1] || '');
+        if (!id || (sessionId && id !== String(sessionId))) continue;
+        (bySession[id] = bySession[id] || []).push({
+            type: String(row[3]),
+            at: new Date(row[2]).toISOString(),
+            durationMs: Number(row[4]) || 0,
+            length: Number(row[5]) || 0,
+            questionId: String(row[6] || '')
+        });
+    }
+    Object.keys(bySession).forEach(id => {
+        bySession[id].sort((a, b) => a.at < b.at ? -1 : a.at > b.at ? 1 : 0);
+    });
+    return bySession;
+}
+
+/**
+ * 行動記録の集計 (受験結果の一覧に表示する)
+ * タブの切り替えではフォーカスも外れるため、離れた回数・時間は visibility と focus の多い方を採る。
+ * @return {Object|null} { leaves, awayMs, pastes, pastedChars, fullscreenExits, flags, level } (記録がなければ null)
+ *   level: 'ok' (しきい値未満) | 'warn' (INTEGRITY_THRESHOLDS のいずれかに達した)
+ */
+function _summarizeIntegrity(events) {
+    if (!events || events.length === 0) return null;
+    const count = (type) => events.filter(ev => ev.type === type).length;
+    const duration = (type) => events.filter(ev => ev.type === type).reduce((sum, ev) => sum + ev.durationMs, 0);
+    const pastes = events.filter(ev => ev.type === 'paste');
+    const summary = {
+        leaves: Math.max(count('hidden'), count('blur')),
+        awayMs: Math.max(duration('visible'), duration('focus')),
+        pastes: pastes.length,
+        pastedChars: pastes.reduce((sum, ev) => sum + ev.length, 0),
+        fullscreenExits: count('fullscreen_exit')
+    };
+
+    const t = INTEGRITY_THRESHOLDS;
+    const flags = [];
+    if (summary.leaves >= t.leaves) flags.push(`画面から ${summary.leaves} 回離れた`);
+    if (summary.awayMs >= t.awayMs) flags.push(`画面から離れていた時間が合計 ${Math.round(summary.awayMs / 1000)} 秒`);
+    if (summary.pastedChars >= t.pastedChars) flags.push(`${summary.pastes} 回の貼り付けで合計 ${summary.pastedChars} 文字`);
+    if (summary.fullscreenExits >= t.fullscreenExits) flags.push(`全画面表示を ${summary.fullscreenExits} 回解除した`);
+    summary.flags = flags;
+    summary.level = flags.length > 0 ? 'warn' : 'ok';
+    return summary;
+}
+
+// --- 成績レポート・成績一覧 (Responses / ScoreOverrides / Snapshots に保存された結果から作り直せる) ---
+
+/**
+ * 受験者ごとの成績レポート (印刷用 HTML または PDF)
+ * 複数のセッションを指定すると 1 ファイルにまとめ、受験者ごとに改ページする。
+ * @param {string} adminToken - 管理者トークン
+ * @param {Array|string} sessionIds - セッションID (複数可)
+ * @param {string} format - 'html' | 'pdf'
+ * @return {Object} { success, filename, mimeType, content, encoding } (PDF は encoding: 'base64')
+ */
+function exportScoreReport(adminToken, sessionIds, format) {
+    _requireAdmin(adminToken);
     try {
-        if (!sessionId) throw new Error("Session ID is required for temporary save.");
+        const spec = REPORT_FORMATS[format];
+        if (!spec) throw new Error('未対応の形式です: ' + format);
+        const ids = (Array.isArray(sessionIds) ? sessionIds : [sessionIds]).map(String).filter(Boolean);
+        if (ids.length === 0) throw new Error('受験者が選択されていません。');
 
-        const ssId = _getSpreadsheetId();
-        const ss = SpreadsheetApp.openById(ssId);
-        let sheet = ss.getSheetByName(SHEET_NAME_RESPONSES);
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const rows = _readResultRows(ss);
+        const targets = ids.map(id => rows.find(r => r.sessionId === id)).filter(Boolean);
+        if (targets.length === 0) return { success: false, message: 'セッションが見つかりませんでした。' };
 
-        if (!sheet) {
-            sheet = ss.insertSheet(SHEET_NAME_RESPONSES);
-            sheet.appendRow(['Timestamp', 'Total Score', 'SessionID', 'Details (JSON)']); // Header
+        const reports = _collectStoredResults(ss, targets);
+        const baseName = targets.length === 1
+            ? `成績レポート_${targets[0].name}_${targets[0].pattern}`
+            : `成績レポート_${targets[0].pattern}_${targets.length}名`;
+        const filename = _safeFilename(baseName, spec.extension);
+        const html = _renderScoreReportHtml(reports);
+        if (format === 'html') {
+            return { success: true, filename: filename, mimeType: spec.mimeType, content: html };
         }
+        const pdf = Utilities.newBlob(html, 'text/html', filename).getAs(spec.mimeType);
+        return { success: true, filename: filename, mimeType: spec.mimeType, content: Utilities.base64Encode(pdf.getBytes()), encoding: 'base64' };
+    } catch (e) {
+        console.error('exportScoreReport Error:', e);
+        return { success: false, message: 'レポート作成エラー: ' + e.toString() };
+    }
+}
 
-        const detailObj = {
-            status: "PENDING_GRADING", // 採点待ちフラグ
-            answers: answers
-        };
+/**
+ * パターンごとの成績一覧 (CSV。Excel で開けるよう BOM はクライアントで付ける)
+ * 1 行 = 1 受験、問題 (小問がある場合は小問) ごとに 1 列。得点修正を反映した得点を出力する。
+ * 受験者ごとに出題が異なる場合 (問題バンクからの抽出) は、全受験者の問題を合わせた列になる。
+ * @param {string} adminToken - 管理者トークン
+ * @param {string} patternTitle - 試験パターン名
+ * @param {Object} options - (Optional) { countedOnly: 採用した回だけを出力 (既定 true) }
+ * @return {Object} { success, filename, mimeType, content }
+ */
+function exportGradebook(adminToken, patternTitle, options) {
+    _requireAdmin(adminToken);
+    try {
+        const opts = options || {};
+        const countedOnly = opts.countedOnly !== false;
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const rows = _readResultRows(ss)
+            .filter(r => r.pattern === String(patternTitle || ''))
+            .filter(r => !countedOnly || r.counted)
+            .sort((a, b) => {
+                const ka = `${a.studentId || a.name}\n${a.timestamp}`, kb = `${b.studentId || b.name}\n${b.timestamp}`;
+                return ka < kb ? -1 : (ka > kb ? 1 : 0);
+            });
+        if (rows.length === 0) return { success: false, message: '出力できる受験結果がありません。' };
 
-        // Scoreは "PENDING" として保存
-        sheet.appendRow([
-            new Date(),
-            "PENDING",
-            sessionId,
-            JSON.stringify(detailObj)
-        ]);
+        const reports = _collectStoredResults(ss, rows);
+        const classes = {};
+        _readRoster(ss).forEach(st => { classes[st.studentId] = st.className; });
 
-        return { success: true };
+        // 列: 問題・小問 (最初に現れた版の番号と配点で見出しを付ける)
+        const columns = [];
+        const columnIndex = {};
+        reports.forEach(report => _gradebookItems(report.questions).forEach(item => {
+            if (columnIndex[item.key] !== undefined) return;
+            columnIndex[item.key] = columns.length;
+            columns.push(`${item.label} (${item.points}点)`);
+        }));
+
+        const header = ['学籍番号', '氏名', 'クラス', '回', '採用', '受験日時', '状態', '合計', '満点'].concat(columns);
+        const lines = [header];
+        reports.forEach(report => {
+            const r = report.row;
+            const scores = columns.map(() => '');
+            report.results.forEach(res => {
+                const index = columnIndex[_resultKey(res.questionId, res.subQuestionId)];
+                if (index !== undefined) scores[index] = Number(res.score) || 0;
+            });
+            lines.push([
+                r.studentId, r.name, classes[r.studentId] || '', r.attempt || '', r.counted ? '○' : '',
+                r.timestamp ? _formatDateTime(r.timestamp) : '', r.status, r.score === null ? '' : r.score,
+                r.maxScore === null ? '' : r.maxScore
+            ].concat(scores));
+        });
+
+        const content = lines.map(line => line.map(_spreadsheetCsvCell).join(',')).join('\r\n') + '\r\n';
+        const filename = _safeFilename(`成績一覧_${patternTitle || 'パターン名なし'}`, 'csv');
+        return { success: true, filename: filename, mimeType: 'text/csv', content: content };
     } catch (e) {
-        console.error("saveTemporaryAnswers Error:", e);
-        return { success: false, message: e.toString() };
+        console.error('exportGradebook Error:', e);
+        return { success: false, message: '成績一覧の書き出しエラー: ' + e.toString() };
     }
 }
 
 /**
- * 回答の送信と採点
- * @param {Object} answers - 回答オブジェクト
- * @param {string} sessionId - セッションID (registerCandidateで取得)
+ * 保存済みの採点結果をまとめて読み込む (シートは 1 回ずつだけ読む)
+ * @param {Array} rows - _readResultRows の要素
+ * @return {Array} [{ row, questions (番号付き・公開中のみ), answers, results (得点修正を反映), overrides, gradedAt }]
  */
-function submitAnswers(answers, sessionId) {
-    try {
-        // 採点時は全問題(非公開含む)を取得して、回答が存在すれば採点できるようにする
-        // (ユーザーが古い画面を開いたまま回答した場合などの整合性のため)
-        const questions = getQuestions(true);
+function _collectStoredResults(ss, rows) {
+    const wanted = {};
+    rows.forEach(r => { wanted[r.sessionId] = true; });
 
-        // 1. Gemini APIによる採点 (各問題ごと)
-        const gradingResults = _gradeWithGemini(questions, answers);
-        const totalScore = gradingResults.reduce((sum, r) => sum + r.score, 0);
+    const snapshots = {};
+    const snapshotSheet = ss.getSheetByName(SHEET_NAME_SNAPSHOTS);
+    if (snapshotSheet && snapshotSheet.getLastRow() >= 2) {
+        const needed = {};
+        rows.forEach(r => { needed[r.versionId] = true; });
+        snapshotSheet.getRange(2, 1, snapshotSheet.getLastRow() - 1, SNAPSHOTS_HEADER.length).getValues().forEach(row => {
+            if (!needed[String(row[0])]) return;
+            try {
+                snapshots[String(row[0])] = JSON.parse(row[3]);
+            } catch (e) {
+                console.warn('Broken snapshot', row[0], e);
+            }
+        });
+    }
 
-        // 2. 点数表の更新 (sessionIdがある場合)
-        if (sessionId) {
-            _updateScoreTable(sessionId, totalScore);
+    // 採点済みの最新の行を優先し、なければ一時保存の最新の行 (_findLatestResponse と同じ規則)
+    const responses = {};
+    const responseSheet = ss.getSheetByName(SHEET_NAME_RESPONSES);
+    const responseData = responseSheet ? responseSheet.getDataRange().getValues() : [];
+    for (let i = responseData.length - 1; i >= 1; i--) {
+        const row = responseData[i];
+        const sessionId = String(row[2]);
+        if (!wanted[sessionId] || (responses[sessionId] && responses[sessionId].graded)) continue;
+        const graded = typeof row[1] === 'number';
+        if (responses[sessionId] && !graded) continue;
+        try {
+            responses[sessionId] = { timestamp: row[0], graded: graded, detail: JSON.parse(row[3]) };
+        } catch (e) {
+            console.warn('Broken response row', i + 1, e);
         }
+    }
 
-        // 3. 詳細ログをスプレッドシートに保存 (バックアップ/詳細分析用)
-        _saveResponseLog(questions, answers, gradingResults, totalScore, sessionId);
+    const overrides = {};
+    const overrideSheet = ss.getSheetByName(SHEET_NAME_SCORE_OVERRIDES);
+    if (overrideSheet && overrideSheet.getLastRow() >= 2) {
+        overrideSheet.getRange(2, 1, overrideSheet.getLastRow() - 1, SCORE_OVERRIDES_HEADER.length).getValues().forEach(row => {
+            const sessionId = String(row[1]);
+            if (wanted[sessionId]) (overrides[sessionId] = overrides[sessionId] || []).push(_toScoreOverride(row));
+        });
+    }
 
+    let current = null; // 版ID を持たない旧セッション用
+    return rows.map(r => {
+        let questions = snapshots[r.versionId];
+        if (!questions) questions = current = current || _getQuestions(true);
+        const response = responses[r.sessionId];
+        const detail = response ? response.detail : {};
         return {
-            success: true,
-            totalScore: totalScore,
-            results: gradingResults
+            row: r,
+            questions: _numberQuestions(questions.filter(q => q.isPublished !== false)),
+            answers: detail.answers || {},
+            results: _applyScoreOverrides(detail.grading || [], overrides[r.sessionId] || []),
+            overrides: overrides[r.sessionId] || [],
+            gradedAt: response && response.graded ? new Date(response.timestamp).toISOString() : ''
         };
+    });
+}
 
-    } catch (e) {
-        console.error(e);
-        const errorMsg = e.toString();
-        // ユーザーにわかりやすいエラーメッセージを返す
-        return { success: false, message: '送信エラー: ' + errorMsg };
+/**
+ * 採点単位 (小問がある問題は小問ごと) の一覧
+ * @return {Array} [{ key, label, points, question, item }]
+ */
+function _gradebookItems(questions) {
+    const items = [];
+    questions.forEach(q => {
+        if (Array.isArray(q.subQuestions) && q.subQuestions.length > 0) {
+            q.subQuestions.forEach(sq => items.push({
+                key: _resultKey(q.id, sq.id), label: `Q${q.number}-${sq.number}`, points: Number(sq.points) || 0, question: q, item: sq
+            }));
+        } else {
+            items.push({ key: _resultKey(q.id, null), label: `Q${q.number}`, points: Number(q.points) || 0, question: q, item: q });
+        }
+    });
+    return items;
+}
+
+/**
+ * 成績レポートの HTML (A4 縦で印刷できる単独のページ)
+ */
+function _renderScoreReportHtml(reports) {
+    const esc = _xmlEscape;
+    const multiline = (text) => esc(text).replace(/\r?\n/g, '<br>');
+    const pages = reports.map(report => {
+        const r = report.row;
+        const resultByKey = {};
+        report.results.forEach(res => { resultByKey[_resultKey(res.questionId, res.subQuestionId)] = res; });
+
+        const rows = _gradebookItems(report.questions).map(entry => {
+            const res = resultByKey[entry.key];
+            const answer = entry.item === entry.question
+                ? report.answers[entry.question.id]
+                : (report.answers[entry.question.id] || {})[entry.item.id];
+            const text = entry.item === entry.question ? entry.item.text : `${entry.question.text}\n(${entry.label}) ${entry.item.text}`;
+            let feedback = res ? multiline(res.reason || '') : '未採点';
+            if (res && Array.isArray(res.rubric) && res.rubric.length > 0) {
+                feedback += '<ul>' + res.rubric.map(item =>
+                    `<li>${item.met ? '✓' : '✗'} ${esc(item.text)} (${esc(item.score)} / ${esc(item.points)} 点)</li>`).join('') + '</ul>';
+            }
+            if (res && res.override) {
+                feedback += `<p class="note">教員による修正: ${esc(res.originalScore)} → ${esc(res.score)} 点` +
+                    (res.override.comment ? ` (${esc(res.override.comment)})` : '') + '</p>';
+            }
+            return `<tr>
+<td class="no">${esc(entry.label)}</td>
+<td>${multiline(text)}<div class="answer"><span>回答:</span> ${multiline(_formatReportAnswer(entry.item, answer)) || '(未回答)'}</div></td>
+<td class="score">${res ? esc(res.score) : '-'} / ${esc(entry.points)}</td>
+<td>${feedback}</td>
+<td>${multiline(_reportModelAnswer(entry.item, res))}</td>
+</tr>`;
+        }).join('\n');
+
+        return `<section class="page">
+<h1>成績レポート</h1>
+<table class="summary">
+<tr><th>氏名</th><td>${esc(r.name)}${r.studentId ? ` (${esc(r.studentId)})` : ''}</td><th>試験</th><td>${esc(r.pattern || '-')}</td></tr>
+<tr><th>受験日時</th><td>${r.timestamp ? esc(_formatDateTime(r.timestamp)) : '-'}${r.attempt ? ` (${esc(r.attempt)} 回目)` : ''}</td>
+<th>採点日時</th><td>${report.gradedAt ? esc(_formatDateTime(report.gradedAt)) : '未採点'}</td></tr>
+</table>
+<p class="total">合計 <strong>${r.score === null ? '-' : esc(r.score)}</strong> / ${esc(_maxScoreOf(report.questions))} 点</p>
+<table class="detail">
+<thead><tr><th>問題</th><th>問題文・回答</th><th>得点</th><th>採点理由</th><th>模範解答</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="ja"><head><meta charset="utf-8"><title>成績レポート</title>
+<style>
+@page { size: A4 portrait; margin: 15mm; }
+body { font-family: "Hiragino Sans", "Noto Sans JP", "Yu Gothic", sans-serif; font-size: 10pt; color: #222; }
+.page { page-break-after: always; }
+.page:last-child { page-break-after: auto; }
+h1 { font-size: 16pt; border-bottom: 2px solid #333; padding-bottom: 4px; }
+table { width: 100%; border-collapse: collapse; }
+th, td { border: 1px solid #999; padding: 4px 6px; vertical-align: top; text-align: left; }
+th { background: #eee; white-space: nowrap; }
+.summary { margin-bottom: 8px; }
+.total { font-size: 13pt; text-align: right; }
+.total strong { font-size: 18pt; }
+.detail tr { page-break-inside: avoid; }
+.no, .score { white-space: nowrap; text-align: center; }
+.answer { margin-top: 4px; padding-top: 4px; border-top: 1px dashed #bbb; }
+.answer span { color: #666; }
+.note { color: #a15c00; margin: 4px 0 0; }
+ul { margin: 4px 0 0; padding-left: 16px; }
+</style></head>
+<body>
+${pages.join('\n')}
+</body></html>`;
+}
+
+/**
+ * 回答の表示用文字列 (選択式は選択肢の本文に置き換える)
+ */
+function _formatReportAnswer(item, answer) {
+    if (answer === undefined || answer === null || answer === '') return '';
+    const type = _questionType(item);
+    if (type === 'single' || type === 'multiple' || type === 'truefalse') {
+        const choices = _choicesOf(item);
+        return (Array.isArray(answer) ? answer : [answer]).map(id => {
+            const choice = choices.find(c => String(c.id) === String(id));
+            return choice ? choice.text : String(id);
+        }).join('、');
     }
+    return String(answer);
+}
+
+function _reportModelAnswer(item, res) {
+    if (res && res.modelAnswer) return res.modelAnswer;
+    if (item.modelAnswer) return item.modelAnswer;
+    const type = _questionType(item);
+    if (type === 'numeric' && item.numericAnswer) return _formatNumericSpec(item.numericAnswer);
+    if (type !== 'text') return _formatReportAnswer(item, item.correctKeys || []);
+    return '(模範解答設定なし)';
 }
 
 /**
- * 点数表のスコア更新
+ * 未採点回答の回復ジョブ (時間主導型トリガーから実行)
+ * google.script.run からも呼び出せるため、登録済みのトリガーからの実行以外は何もしない。
+ * @param {Object} e - トリガーのイベントオブジェクト
+ */
+function recoverPendingGradings(e) {
+    if (!_isTriggeredBy(e, _findRecoveryTrigger())) {
+        console.warn('recoverPendingGradings was called outside of its trigger.');
+        return { recovered: 0, failed: 0, skipped: true, message: 'トリガー以外からは実行できません。' };
+    }
+    return _runRecoveryJob();
+}
+
+/**
+ * 回復ジョブの本体 (トリガーと runRecoveryNow から呼ぶ)
+ * saveTemporaryAnswers で PENDING のまま残り、同じ SessionID の採点済み行がない回答を採点する。
  */
-function _updateScoreTable(sessionId, score) {
+function _runRecoveryJob() {
+    // 前回のジョブが実行中なら何もしない
+    // (採点中も提出を受け付けられるよう、スクリプトロックは実行中の印を付ける間だけ使う)
+    const cache = CacheService.getScriptCache();
+    const claimed = _withScriptLock(() => {
+        if (cache.get(RECOVERY_RUNNING_CACHE_KEY)) return false;
+        cache.put(RECOVERY_RUNNING_CACHE_KEY, new Date().toISOString(), RECOVERY_RUNNING_TTL_SEC);
+        return true;
+    });
+    if (!claimed) return { recovered: 0, failed: 0, skipped: true };
     try {
-        const ssId = _getSpreadsheetId();
-        const ss = SpreadsheetApp.openById(ssId);
-        const sheet = ss.getSheetByName(SHEET_NAME_SCORE_TABLE);
-        if (!sheet) return;
+        return _recoverPendingGradings();
+    } finally {
+        cache.remove(RECOVERY_RUNNING_CACHE_KEY);
+    }
+}
 
-        const data = sheet.getDataRange().getValues();
-        // 1列目(ID)を検索 (Header is row 1, data starts row 2)
-        // データを走査してIDが一致する行を探す
-        for (let i = 1; i < data.length; i++) {
-            if (String(data[i][0]) === String(sessionId)) {
-                // Score is Col 5 (index 4)
-                sheet.getRange(i + 1, 5).setValue(score);
-                SpreadsheetApp.flush();
+function _recoverPendingGradings() {
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    const sheet = ss.getSheetByName(SHEET_NAME_RESPONSES);
+    if (!sheet) return { recovered: 0, failed: 0 };
+
+    const data = sheet.getDataRange().getValues();
+    const gradedSessions = {};
+    const pendingBySession = {}; // sessionId -> 最新の PENDING 行
+    for (let i = 1; i < data.length; i++) {
+        const sessionId = String(data[i][2] || '');
+        if (!sessionId) continue;
+        const score = data[i][1];
+        if (score === 'PENDING') {
+            pendingBySession[sessionId] = { row: i + 1, timestamp: data[i][0], details: data[i][3] };
+        } else if (score !== 'RECOVERED' && score !== 'REJECTED_LATE' && score !== '') {
+            gradedSessions[sessionId] = true;
+        }
+    }
+
+    const cutoff = Date.now() - RECOVERY_MIN_AGE_SEC * 1000;
+    const targets = Object.keys(pendingBySession)
+        .filter(id => !gradedSessions[id])
+        .filter(id => new Date(pendingBySession[id].timestamp).getTime() <= cutoff)
+        .slice(0, RECOVERY_MAX_SESSIONS_PER_RUN);
+
+    let recovered = 0;
+    let failed = 0;
+    targets.forEach(sessionId => {
+        const pending = pendingBySession[sessionId];
+        try {
+            const detail = JSON.parse(pending.details);
+
+            // 提出状態 (期限後の扱い) は submitAnswers と同じく、一時保存された時刻で判定する
+            const resolved = _resolveSubmission(sessionId, detail.answers || {}, new Date(pending.timestamp));
+            if (resolved.status === 'REJECTED_LATE') {
+                _updateScoreTable(sessionId, '', 'REJECTED_LATE');
+                _markPendingRow(sheet, pending.row, detail, 'REJECTED_LATE');
                 return;
             }
+
+            // 回復ジョブで採点したことは点数表の Status ではなく、回答ログの PENDING 行に残す
+            _gradeAndRecord(resolved.answers, sessionId, resolved.status);
+            _markPendingRow(sheet, pending.row, detail, 'RECOVERED');
+            recovered++;
+        } catch (e) {
+            console.error('Recovery failed for session', sessionId, e);
+            failed++;
         }
-        console.warn("Session ID not found in Score Table:", sessionId);
-    } catch (e) {
-        console.error("Update Score Table Error:", e);
-    }
+    });
+
+    SpreadsheetApp.flush();
+    return { recovered: recovered, failed: failed };
 }
 
 /**
- * Gemini APIと通信して採点を行う内部関数
+ * 回復済みの PENDING 行に印をつける (再処理防止)
  */
+function _markPendingRow(sheet, row, detail, status) {
+    detail.status = status;
+    detail.recoveredAt = new Date().toISOString();
+    sheet.getRange(row, 2).setValue(status);
+    sheet.getRange(row, 4).setValue(JSON.stringify(detail));
+}
+
 /**
- * Gemini APIと通信して採点を行う内部関数 (一括採点版)
+ * 回復ジョブの手動実行 (管理画面用)
  */
+function runRecoveryNow(adminToken) {
+    _requireAdmin(adminToken);
+    try {
+        const result = _runRecoveryJob();
+        if (result.skipped) {
+            return { success: false, message: '別の回復処理が実行中です。しばらく待ってから再度お試しください。' };
+        }
+        return {
+            success: true,
+            recovered: result.recovered,
+            failed: result.failed,
+            triggerInstalled: _findRecoveryTrigger() !== null,
+            message: `${result.recovered} 件の未採点回答を採点しました。` + (result.failed > 0 ? ` (${result.failed} 件失敗)` : '')
+        };
+    } catch (e) {
+        console.error(e);
+        return { success: false, message: '回復エラー: ' + e.toString() };
+    }
+}
+
 /**
- * Gemini APIと通信して採点を行う内部関数 (並列処理版)
+ * 回復ジョブの定期実行トリガーを登録 (管理画面用)
  */
-function _gradeWithGemini(questions, answers) {
-    const apiKey = PropertiesService.getScriptProperties().getProperty(SCRIPT_PROP_KEY_GEMINI_API_KEY);
+function installRecoveryTrigger(adminToken) {
+    _requireAdmin(adminToken);
+    try {
+        if (_findRecoveryTrigger()) {
+            return { success: true, message: '定期実行はすでに有効です。' };
+        }
+        ScriptApp.newTrigger(RECOVERY_TRIGGER_HANDLER)
+            .timeBased()
+            .everyMinutes(RECOVERY_INTERVAL_MINUTES)
+            .create();
+        return { success: true, message: `${RECOVERY_INTERVAL_MINUTES} 分ごとの自動回復を有効にしました。` };
+    } catch (e) {
+        console.error(e);
+        return { success: false, message: 'トリガー登録エラー: ' + e.toString() };
+    }
+}
 
-    // APIキーがない場合はモック採点
-    if (!apiKey) {
-        return questions.flatMap(q => {
-            if (q.subQuestions && q.subQuestions.length > 0) {
-                return q.subQuestions.map(sq => ({
-                    questionId: q.id,
-                    subQuestionId: sq.id,
-                    score: Math.floor(sq.points * 0.8),
-                    reason: "(Mock) Sub-question graded.",
-                    questionText: sq.text,
-                    modelAnswer: sq.modelAnswer || ''
-                }));
-            } else {
-                return [{
-                    questionId: q.id,
-                    score: Math.floor(q.points * 0.8),
-                    reason: "(Mock) Graded.",
-                    questionText: q.text,
-                    modelAnswer: q.modelAnswer || ''
-                }];
-            }
-        });
+function _findRecoveryTrigger() {
+    const triggers = ScriptApp.getProjectTriggers();
+    for (let i = 0; i < triggers.length; i++) {
+        if (triggers[i].getHandlerFunction() === RECOVERY_TRIGGER_HANDLER) return triggers[i];
     }
+    return null;
+}
 
-    // 問題のフラット化
-    const problemList = [];
-    questions.forEach(q => {
-        if (q.subQuestions && q.subQuestions.length > 0) {
-            q.subQuestions.forEach(sq => {
-                problemList.push({
-                    type: 'sub',
-                    qId: q.id,
-                    sqId: sq.id,
-                    text: `[親問題]: ${q.text}\n[小問題]: ${sq.text}`,
-                    points: sq.points,
-                    criteria: sq.criteria || '特になし',
-                    studentAnswer: (answers[q.id] && answers[q.id][sq.id]) || "",
-                    modelAnswer: sq.modelAnswer || "" // Add model answer
-                });
-            });
-        } else {
-            problemList.push({
-                type: 'normal',
-                qId: q.id,
-                sqId: null,
-                text: q.text,
-                points: q.points,
-                criteria: q.criteria || '特になし',
-                studentAnswer: answers[q.id] || "",
-                modelAnswer: q.modelAnswer || "" // Add model answer
-            });
-        }
-    });
+// --- メール通知 ---
 
-    if (problemList.length === 0) return [];
+/**
+ * メールの送信手段
+ * スクリプトプロパティ MAIL_TRANSPORT で切り替える。送信せずに内容を確認したい場合は log を指定する。
+ * 各手段は { label, remainingQuota(), send({ to, subject, body, htmlBody }) } を持つ。
+ */
+const MAILERS = {
+    mailapp: {
+        label: 'MailApp (スクリプトの実行ユーザーから送信)',
+        remainingQuota: () => MailApp.getRemainingDailyQuota(),
+        send: (message) => MailApp.sendEmail({
+            to: message.to,
+            subject: message.subject,
+            body: message.body,
+            htmlBody: message.htmlBody,
+            name: MAIL_SENDER_NAME
+        })
+    },
+    log: {
+        label: 'ログのみ (送信しない)',
+        remainingQuota: () => Infinity,
+        send: (message) => console.log('[mail]', JSON.stringify(message))
+    }
+};
 
-    // チャンクサイズを10に拡大 (リクエスト数削減)
-    const CHUNK_SIZE = 10;
-    const chunks = [];
-    for (let i = 0; i < problemList.length; i += CHUNK_SIZE) {
-        chunks.push(problemList.slice(i, i + CHUNK_SIZE));
+function _getMailer() {
+    const id = PropertiesService.getScriptProperties().getProperty(SCRIPT_PROP_KEY_MAIL_TRANSPORT);
+    return MAILERS[id] ? { id: id, mailer: MAILERS[id] } : { id: 'mailapp', mailer: MAILERS.mailapp };
+}
+
+/**
+ * メールを 1 通送信する (宛先が複数の場合はカンマ区切り)
+ * 1 日の送信上限に達している場合は送らずに false を返す。
+ */
+function _sendMail(message) {
+    const mailer = _getMailer().mailer;
+    const recipients = String(message.to || '').split(',').filter(Boolean).length;
+    if (recipients === 0) return false;
+    if (mailer.remainingQuota() < recipients) {
+        console.warn('Mail quota exceeded, skipped:', message.subject);
+        return false;
     }
+    mailer.send(message);
+    return true;
+}
 
-    // Gemini 3.0 Flash Preview (User Specified)
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${apiKey}`;
+/**
+ * 通知設定 (管理画面用)
+ * @param {string} adminToken - 管理者トークン
+ * @return {Object} { success, settings, transport, transports, remainingQuota, digestTriggerInstalled, lastDigestAt }
+ */
+function getNotificationSettings(adminToken) {
+    _requireAdmin(adminToken);
+    try {
+        const transport = _getMailer();
+        let remainingQuota = null;
+        try {
+            const quota = transport.mailer.remainingQuota();
+            remainingQuota = isFinite(quota) ? quota : null;
+        } catch (e) {
+            console.warn('Mail quota unavailable', e);
+        }
+        return {
+            success: true,
+            settings: _getNotificationSettings(),
+            transport: transport.id,
+            transports: Object.keys(MAILERS).map(id => ({ id: id, label: MAILERS[id].label })),
+            remainingQuota: remainingQuota,
+            digestTriggerInstalled: _findDigestTrigger() !== null,
+            lastDigestAt: PropertiesService.getScriptProperties().getProperty(SCRIPT_PROP_KEY_DIGEST_SINCE) || ''
+        };
+    } catch (e) {
+        console.error('getNotificationSettings Error:', e);
+        return { success: false, message: e.toString() };
+    }
+}
 
-    const requests = chunks.map((chunk, i) => {
-        // プロンプト構築
-        let promptText = `
-    あなたは電気工学の専門家かつ厳格な採点者です。以下の試験問題に対する学生の回答を一括で採点してください。
-    各問題に対して、必ず JSON 配列の形式で [index, score, reason] を返してください。
+/**
+ * 通知設定の保存
+ * まとめの送信間隔に合わせて時間主導型トリガーを登録し直す (0 ならトリガーを削除)。
+ * @param {string} adminToken - 管理者トークン
+ * @param {Object} settings - { candidateResults, instructorEmails, digestHours }
+ */
+function saveNotificationSettings(adminToken, settings) {
+    _requireAdmin(adminToken);
+    try {
+        const invalid = _splitEmails(settings && settings.instructorEmails).filter(a => !EMAIL_PATTERN.test(a));
+        if (invalid.length > 0) return { success: false, message: 'メールアドレスの形式が正しくありません: ' + invalid.join(', ') };
 
-    【採点対象リスト】
-    `;
-        chunk.forEach((p, index) => {
-            const ans = typeof p.studentAnswer === 'string' ? p.studentAnswer : JSON.stringify(p.studentAnswer);
-            promptText += `
-    ---
-    ID: ${index}
-    [問題ID: ${p.qId}${p.sqId ? '_' + p.sqId : ''}]
-    問題文: ${p.text}
-    配点: ${p.points}点
-    採点基準: ${p.criteria}
-    学生の回答: ${ans || '(未回答)'}
-    `;
-        });
+        const normalized = _normalizeNotificationSettings(settings);
+        PropertiesService.getScriptProperties().setProperty(SCRIPT_PROP_KEY_NOTIFICATION_SETTINGS, JSON.stringify(normalized));
 
-        // リクエストペイロード (Strict JSON Mode)
+        const existing = _findDigestTrigger();
+        if (existing) ScriptApp.deleteTrigger(existing);
+        if (normalized.digestHours > 0) {
+            const builder = ScriptApp.newTrigger(DIGEST_TRIGGER_HANDLER).timeBased();
+            if (normalized.digestHours >= 24) {
+                builder.everyDays(1).atHour(7);
+            } else {
+                builder.everyHours(normalized.digestHours);
+            }
+            builder.create();
+        }
         return {
-            url: url,
-            method: 'post',
-            contentType: 'application/json',
-            payload: JSON.stringify({
-                contents: [{ parts: [{ text: promptText }] }],
-                generationConfig: {
-                    response_mime_type: "application/json",
-                    response_schema: {
-                        type: "ARRAY",
-                        items: {
-                            type: "OBJECT",
-                            properties: {
-                                index: { type: "INTEGER" },
-                                score: { type: "INTEGER" },
-                                reason: { type: "STRING" }
-                            },
-                            required: ["index", "score", "reason"]
-                        }
-                    }
-                }
-            }),
-            muteHttpExceptions: true
+            success: true,
+            message: normalized.digestHours > 0
+                ? `通知設定を保存しました。提出状況のまとめを ${normalized.digestHours >= 24 ? '毎日' : normalized.digestHours + ' 時間ごとに'}送信します。`
+                : '通知設定を保存しました。'
         };
-    });
+    } catch (e) {
+        console.error('saveNotificationSettings Error:', e);
+        return { success: false, message: '保存エラー: ' + e.toString() };
+    }
+}
 
-    // リトライ付き並列実行
-    let responses = [];
+/**
+ * テストメールの送信 (送信手段と宛先の確認用)
+ * @param {string} adminToken - 管理者トークン
+ * @param {string} to - 宛先 (省略時は教員の通知先)
+ */
+function sendTestEmail(adminToken, to) {
+    _requireAdmin(adminToken);
     try {
-        responses = _fetchAllWithRetry(requests);
+        const recipients = _splitEmails(to).length > 0 ? _splitEmails(to) : _instructorEmails(_getNotificationSettings());
+        if (recipients.length === 0) return { success: false, message: '宛先がありません。' };
+        const sent = _sendMail({
+            to: recipients.join(','),
+            subject: '[ElecTest] テストメール',
+            body: 'ElecTest System からのテストメールです。\nこのメールが届いていれば、通知を送信できます。'
+        });
+        if (!sent) return { success: false, message: '本日の送信上限に達しているため送信できませんでした。' };
+        return { success: true, message: `${recipients.join(', ')} にテストメールを送信しました。(送信手段: ${_getMailer().id})` };
     } catch (e) {
-        console.error("Critical Grading Error:", e);
-        return problemList.map(p => ({
-            questionId: p.qId,
-            subQuestionId: p.sqId,
-            score: 0,
-            reason: "システムエラー: 採点処理に失敗しました。",
-            questionText: p.text,
-            modelAnswer: p.modelAnswer
-        }));
+        console.error('sendTestEmail Error:', e);
+        return { success: false, message: '送信エラー: ' + e.toString() };
     }
+}
 
-    let allResults = [];
-
-    // レスポンス処理
-    responses.forEach((response, i) => {
-        const chunk = chunks[i];
-
-        // レスポンスがない、またはエラーの場合
-        if (!response || response.getResponseCode() !== 200) {
-            console.error(`Chunk ${i} Failed:`, response ? response.getContentText() : "No response");
-            allResults = allResults.concat(chunk.map(p => ({
-                questionId: p.qId,
-                subQuestionId: p.sqId,
-                score: 0,
-                reason: "採点エラー: AIからの応答がありませんでした。",
-                questionText: p.text,
-                modelAnswer: p.modelAnswer
-            })));
-            return;
-        }
-
-        try {
-            const data = JSON.parse(response.getContentText());
-            let parsedData = [];
+/**
+ * 提出状況のまとめを今すぐ送信する (管理画面用)
+ */
+function sendDigestNow(adminToken) {
+    _requireAdmin(adminToken);
+    try {
+        const result = _sendResultDigest();
+        return { success: result.failed === 0, message: result.message };
+    } catch (e) {
+        console.error('sendDigestNow Error:', e);
+        return { success: false, message: '送信エラー: ' + e.toString() };
+    }
+}
 
-            if (data.candidates && data.candidates[0].content && data.candidates[0].content.parts[0].text) {
-                const text = data.candidates[0].content.parts[0].text;
-                parsedData = JSON.parse(text);
-            }
+/**
+ * 提出状況のまとめ (時間主導型トリガーから実行)
+ * google.script.run からも呼び出せるため、登録済みのトリガーからの実行以外は何もしない。
+ * @param {Object} e - トリガーのイベントオブジェクト
+ */
+function sendResultDigest(e) {
+    if (!_isTriggeredBy(e, _findDigestTrigger())) {
+        console.warn('sendResultDigest was called outside of its trigger.');
+        return { sent: 0, failed: 0, skipped: true, message: 'トリガー以外からは実行できません。' };
+    }
+    return _sendResultDigest();
+}
 
-            if (!Array.isArray(parsedData)) {
-                parsedData = [];
-            }
+/**
+ * 提出状況のまとめの送信
+ * 前回のまとめ以降に採点された提出を公開 (Deployment) ごとに集計し、教員にメールで送る。
+ * 送信に失敗した場合は次回のまとめに同じ提出を含める。
+ * @return {Object} { sent, failed, message }
+ */
+function _sendResultDigest() {
+    const props = PropertiesService.getScriptProperties();
+    const settings = _getNotificationSettings();
+    const recipients = _instructorEmails(settings);
+    if (recipients.length === 0) return { sent: 0, failed: 0, message: '教員の通知先が設定されていません。' };
 
-            // マッピング
-            const mapped = parsedData.map(r => {
-                const idx = r.index;
-                if (typeof idx !== 'number' || idx < 0 || idx >= chunk.length) return null;
-                const original = chunk[idx];
-                return {
-                    questionId: original.qId,
-                    subQuestionId: original.sqId,
-                    score: Number(r.score) || 0,
-                    reason: r.reason || '',
-                    questionText: original.text,    // Include text
-                    modelAnswer: original.modelAnswer // Include model answer
-                };
-            }).filter(Boolean);
+    const now = new Date();
+    const sinceRaw = props.getProperty(SCRIPT_PROP_KEY_DIGEST_SINCE);
+    const since = sinceRaw ? new Date(sinceRaw) : new Date(now.getTime() - (settings.digestHours || 24) * 60 * 60 * 1000);
+    const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+    const groups = _collectDigest(ss, since, now);
 
-            // マッピング漏れ補完
-            if (mapped.length < chunk.length) {
-                chunk.forEach(p => {
-                    const exists = mapped.find(m => m.questionId === p.qId && m.subQuestionId === p.sqId);
-                    if (!exists) {
-                        mapped.push({
-                            questionId: p.qId,
-                            subQuestionId: p.sqId,
-                            score: 0,
-                            reason: "採点不能: AIが回答を認識できませんでした。",
-                            questionText: p.text,
-                            modelAnswer: p.modelAnswer
-                        });
-                    }
-                });
+    let sent = 0;
+    let failed = 0;
+    groups.forEach(group => {
+        try {
+            if (_sendMail(Object.assign({ to: recipients.join(',') }, _composeDigestMail(group, since, now)))) {
+                sent++;
+            } else {
+                failed++;
             }
-
-            allResults = allResults.concat(mapped);
-
         } catch (e) {
-            console.error(`Chunk ${i} Parsing Error:`, e);
-            allResults = allResults.concat(chunk.map(p => ({
-                questionId: p.qId,
-                subQuestionId: p.sqId,
-                score: 0,
-                reason: "採点エラー: 結果の解析に失敗しました。",
-                questionText: p.text,
-                modelAnswer: p.modelAnswer
-            })));
+            console.error('Digest mail failed', group.deploymentId, e);
+            failed++;
         }
     });
+    if (failed === 0) props.setProperty(SCRIPT_PROP_KEY_DIGEST_SINCE, now.toISOString());
 
-    return allResults;
+    if (groups.length === 0) return { sent: 0, failed: 0, message: '前回のまとめ以降の提出はありません。' };
+    return {
+        sent: sent,
+        failed: failed,
+        message: `${sent} 件の公開について提出状況のまとめを送信しました。` + (failed > 0 ? ` (${failed} 件失敗。次回に再送します)` : '')
+    };
 }
 
 /**
- * UrlFetchApp.fetchAll ラッパー: 指数バックオフによるリトライ実装
- * @param {Array} requests - UrlFetchAppのリクエストオブジェクト配列
- * @param {number} maxRetries - 最大リトライ回数 (デフォルト3)
- * @return {Array} responses - UrlFetchApp.HTTPResponseの配列 (失敗時はnullが入る可能性あり)
+ * 期間内に採点された提出を公開ごとに集計する (同じセッションの再採点は最新の結果だけを数える)
+ * @return {Array} [{ deploymentId, pattern, accessCode, submitted, average, maxScore, failures: [{ name, item, reason }], pending }]
  */
-function _fetchAllWithRetry(requests, maxRetries = 3) {
-    let results = new Array(requests.length).fill(null);
-    let pendingIndices = requests.map((_, i) => i);
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        if (pendingIndices.length === 0) break;
-
-        const currentRequests = pendingIndices.map(i => requests[i]);
-        let batchResponses = [];
-        let fetchError = null;
-
+function _collectDigest(ss, since, until) {
+    const sheet = ss.getSheetByName(SHEET_NAME_RESPONSES);
+    const data = sheet ? sheet.getDataRange().getValues() : [];
+    const latest = {};
+    for (let i = data.length - 1; i >= 1; i--) {
+        const row = data[i];
+        const sessionId = String(row[2] || '');
+        if (!sessionId || latest[sessionId] || typeof row[1] !== 'number') continue;
+        const at = new Date(row[0]);
+        if (!(at > since && at <= until)) continue;
         try {
-            // 並列リクエスト実行
-            batchResponses = UrlFetchApp.fetchAll(currentRequests);
+            latest[sessionId] = { score: row[1], detail: JSON.parse(row[3]) };
         } catch (e) {
-            fetchError = e;
-            console.warn(`FetchAll Attempt ${attempt + 1} Error: ${e}`);
+            console.warn('Broken response row', i + 1, e);
         }
+    }
 
-        const nextPending = [];
-
-        if (fetchError) {
-            // fetchAll自体が落ちた場合 (DNSエラー等)、全件リトライ対象
-            // ただし、fetchAllは全か無かなので、個別のステータスコードは不明。
-            // ネットワークエラーとみなして全件リトライ。
-            nextPending.push(...pendingIndices);
-        } else {
-            // 個別のレスポンスをチェック
-            batchResponses.forEach((res, i) => {
-                const originalIndex = pendingIndices[i];
-                const code = res.getResponseCode();
-
-                // 429 (Too Many Requests) または 5xx (Server Error) はリトライ
-                if (code === 429 || code >= 500) {
-                    console.warn(`Request ${originalIndex} failed with ${code}. Retrying...`);
-                    nextPending.push(originalIndex);
-                } else {
-                    results[originalIndex] = res;
-                }
+    const codes = {};
+    _readDeployments(ss).forEach(d => { codes[d.id] = d.accessCode; });
+    const groups = {};
+    const groupOf = (r) => {
+        const id = r.deploymentId || DEFAULT_DEPLOYMENT_ID;
+        if (!groups[id]) {
+            groups[id] = { deploymentId: id, pattern: r.pattern, accessCode: codes[id] || '', scores: [], maxScore: r.maxScore, failures: [], pending: 0 };
+        }
+        return groups[id];
+    };
+    const rows = _readResultRows(ss);
+    rows.forEach(r => {
+        const response = latest[r.sessionId];
+        if (response) {
+            const group = groupOf(r);
+            group.scores.push(Number(response.score) || 0);
+            (response.detail.grading || []).filter(_isGradingFailure).forEach(g => {
+                group.failures.push({
+                    name: r.name + (r.studentId ? ` (${r.studentId})` : ''),
+                    item: `問題ID ${g.questionId}${g.subQuestionId ? ' / 小問ID ' + g.subQuestionId : ''}`,
+                    reason: g.reason
+                });
             });
         }
+    });
+    // 採点に失敗したままの提出は、まとめを送る公開についてだけ件数を添える
+    rows.forEach(r => {
+        const group = groups[r.deploymentId || DEFAULT_DEPLOYMENT_ID];
+        if (group && r.status === 'PENDING_GRADING' && !latest[r.sessionId]) group.pending++;
+    });
 
-        pendingIndices = nextPending;
+    return Object.keys(groups).map(id => {
+        const g = groups[id];
+        return {
+            deploymentId: g.deploymentId,
+            pattern: g.pattern,
+            accessCode: g.accessCode,
+            submitted: g.scores.length,
+            average: g.scores.reduce((sum, v) => sum + v, 0) / g.scores.length,
+            maxScore: g.maxScore,
+            failures: g.failures,
+            pending: g.pending
+        };
+    });
+}
 
-        if (pendingIndices.length > 0) {
-            if (attempt < maxRetries) {
-                // 指数バックオフ (1s, 2s, 4s...) + ジッター
-                const sleepMs = Math.pow(2, attempt) * 1000 + Math.floor(Math.random() * 1000);
-                Utilities.sleep(sleepMs);
-            } else {
-                console.error("Max retries reached. Some requests failed.");
-            }
-        }
+function _composeDigestMail(group, since, until) {
+    const title = group.pattern || '(パターン名なし)';
+    const lines = [
+        `「${title}」${group.accessCode ? ` (アクセスコード ${group.accessCode})` : ''} の提出状況です。`,
+        `期間: ${_formatDateTime(since)} 〜 ${_formatDateTime(until)}`,
+        '',
+        `提出数: ${group.submitted} 件`,
+        `平均点: ${Math.round(group.average * 10) / 10}${group.maxScore !== null ? ` / ${group.maxScore}` : ''} 点`
+    ];
+    if (group.pending > 0) lines.push(`採点待ちのまま残っている提出: ${group.pending} 件 (管理画面の「未採点回復」で再採点できます)`);
+    lines.push('');
+    if (group.failures.length > 0) {
+        lines.push(`採点エラー・採点不能: ${group.failures.length} 件 (管理画面の「受験結果」で確認してください)`);
+        group.failures.forEach(f => lines.push(`- ${f.name} ${f.item}: ${f.reason}`));
+    } else {
+        lines.push('採点エラー・採点不能はありません。');
     }
-
-    return results;
+    return {
+        subject: `[ElecTest] ${title} 提出状況 (${group.submitted} 件${group.failures.length > 0 ? `, 要確認 ${group.failures.length} 件` : ''})`,
+        body: lines.join('\n')
+    };
 }
 
 /**
- * 回答ログをシートに保存
+ * 受験者への採点結果の通知 (名簿にメールアドレスがある受験者のみ)
+ * 通知の失敗で提出・採点を失敗させないよう、例外はログに残すだけにする。
  */
-function _saveResponseLog(questions, answers, gradingResults, totalScore, sessionId) {
-    const ssId = _getSpreadsheetId();
-    const ss = SpreadsheetApp.openById(ssId);
-    let sheet = ss.getSheetByName(SHEET_NAME_RESPONSES);
-    if (!sheet) {
-        sheet = ss.insertSheet(SHEET_NAME_RESPONSES);
-        sheet.appendRow(['Timestamp', 'Total Score', 'SessionID', 'Details (JSON)']); // Header
+function _notifyCandidateResult(sessionId, questions, gradingResults, totalScore) {
+    try {
+        if (!sessionId || !_getNotificationSettings().candidateResults) return false;
+        const ss = SpreadsheetApp.openById(_getSpreadsheetId());
+        const found = _findScoreRow(_getScoreTableSheet(ss), sessionId);
+        if (!found || !found.values.StudentID) return false;
+        const student = _readRoster(ss).find(st => st.studentId === _normalizeStudentId(found.values.StudentID));
+        if (!student || !student.email) return false;
+
+        const published = _numberQuestions(questions.filter(q => q.isPublished !== false));
+        const resultByKey = {};
+        gradingResults.forEach(r => { resultByKey[_resultKey(r.questionId, r.subQuestionId)] = r; });
+        const title = String(found.values.Pattern || '');
+        const lines = [
+            `${student.name} さん`,
+            '',
+            `「${title || '試験'}」の採点結果をお知らせします。`,
+            '',
+            `得点: ${totalScore} / ${_maxScoreOf(published)} 点`,
+            `受験日時: ${found.values.Timestamp ? _formatDateTime(found.values.Timestamp) : '-'}`,
+            ''
+        ];
+        _gradebookItems(published).forEach(entry => {
+            const r = resultByKey[entry.key];
+            lines.push(`${entry.label} (${r ? r.score : '-'} / ${entry.points} 点)`);
+            if (r && r.reason) lines.push('  ' + String(r.reason).replace(/\n/g, '\n  '));
+            if (r && Array.isArray(r.rubric)) {
+                r.rubric.forEach(item => lines.push(`  ${item.met ? '✓' : '✗'} ${item.text} (${item.score} / ${item.points} 点)`));
+            }
+        });
+        lines.push('', '※ このメールは送信専用です。得点は教員の確認により変わることがあります。');
+
+        return _sendMail({ to: student.email, subject: `[ElecTest] ${title || '試験'} の採点結果`, body: lines.join('\n') });
+    } catch (e) {
+        console.error('Candidate notification failed', sessionId, e);
+        return false;
     }
+}
 
-    const detailObj = {
-        answers: answers,
-        grading: gradingResults
+function _getNotificationSettings() {
+    const raw = PropertiesService.getScriptProperties().getProperty(SCRIPT_PROP_KEY_NOTIFICATION_SETTINGS);
+    try {
+        return _normalizeNotificationSettings(raw ? JSON.parse(raw) : null);
+    } catch (e) {
+        console.warn('Invalid notification settings', e);
+        return _normalizeNotificationSettings(null);
+    }
+}
+
+function _normalizeNotificationSettings(settings) {
+    const s = Object.assign({}, DEFAULT_NOTIFICATION_SETTINGS, settings || {});
+    const hours = Number(s.digestHours) || 0;
+    return {
+        candidateResults: s.candidateResults === true,
+        instructorEmails: _splitEmails(s.instructorEmails).filter(a => EMAIL_PATTERN.test(a)),
+        digestHours: DIGEST_INTERVAL_HOURS.indexOf(hours) >= 0 ? hours : 0 // 0 = まとめを送らない
     };
+}
 
-    sheet.appendRow([
-        new Date(),
-        totalScore,
-        sessionId || '',
-        JSON.stringify(detailObj)
-    ]);
+/**
+ * 教員の通知先 (未設定なら管理者の許可リスト ADMIN_EMAILS)
+ */
+function _instructorEmails(settings) {
+    if (settings.instructorEmails.length > 0) return settings.instructorEmails;
+    return _splitEmails(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROP_KEY_ADMIN_EMAILS)).filter(a => EMAIL_PATTERN.test(a));
+}
+
+function _splitEmails(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,\s、;]+/);
+    return list.map(a => String(a).trim()).filter(Boolean);
+}
+
+function _findDigestTrigger() {
+    const triggers = ScriptApp.getProjectTriggers();
+    for (let i = 0; i < triggers.length; i++) {
+        if (triggers[i].getHandlerFunction() === DIGEST_TRIGGER_HANDLER) return triggers[i];
+    }
+    return null;
+}
+
+/**
+ * 登録済みの時間主導型トリガーからの実行かどうか (イベントの triggerUid で判定する)
+ */
+function _isTriggeredBy(e, trigger) {
+    return !!(e && e.triggerUid && trigger && String(trigger.getUniqueId()) === String(e.triggerUid));
 }
 
 /**
- * デバッグ用: API接続テスト関数
- * GASエディタの上部バーから「testGeminiConnection」を選択して「実行」してください。
+ * デバッグ用: 採点プロバイダの接続テスト
+ * 管理画面の「採点設定」→「接続テスト」から実行する。
+ * 管理者トークンが必要なため、GASエディタから直接「実行」することはできない。
+ * @param {string} adminToken - 管理者トークン
  */
-function testGeminiConnection() {
-    const apiKey = PropertiesService.getScriptProperties().getProperty(SCRIPT_PROP_KEY_GEMINI_API_KEY);
+function testGradingConnection(adminToken) {
+    _requireAdmin(adminToken);
+    const config = _getGradingConfig();
+    const provider = GRADING_PROVIDERS[config.provider];
 
-    if (!apiKey) {
+    if (!provider.testConnection) {
+        return { success: true, message: `${provider.label} は外部と通信しないため、接続テストは不要です。` };
+    }
+    if (provider.requiresApiKey && !config.apiKey) {
         return {
             success: false,
-            message: "【エラー】APIキーが設定されていません。GASの「プロジェクトの設定」>「スクリプトプロパティ」を確認してください。"
+            message: `【エラー】APIキー (${provider.apiKeyProperty}) が設定されていません。GASの「プロジェクトの設定」>「スクリプトプロパティ」を確認してください。`
         };
     }
 
-    // 利用可能なモデル一覧を取得するAPI
-    const url = `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`;
-
     try {
-        const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
-        const code = response.getResponseCode();
-        const text = response.getContentText();
-
-        if (code === 200) {
-            const data = JSON.parse(text);
-            const models = data.models
-                .filter(m => m.name.includes('gemini'))
-                .map(m => m.name)
-                .join(', ');
-            return {
-                success: true,
-                message: "接続成功！利用可能モデル: " + models
-            };
-        } else {
-            return {
-                success: false,
-                message: `エラー (${code}): ${text}`
-            };
-        }
-
+        const result = provider.testConnection(config);
+        result.message = `[${provider.label} / ${config.endpoint}] ` + result.message;
+        return result;
     } catch (e) {
         return {
             success: false,
@@ -822,10 +6182,21 @@ function testGeminiConnection() {
     }
 }
 
+/**
+ * 旧名の接続テスト (testGradingConnection に統合)
+ * @param {string} adminToken - 管理者トークン
+ */
+function testGeminiConnection(adminToken) {
+    return testGradingConnection(adminToken);
+}
+
 /**
  * デバッグ用: 採点ロジック単体テスト
+ * 管理画面のヘッダーの「採点テスト」から実行する (管理者トークンが必要なため、GASエディタからは実行できない)。
+ * @param {string} adminToken - 管理者トークン
  */
-function testGrading() {
+function testGrading(adminToken) {
+    _requireAdmin(adminToken);
     // Generate 15 dummy questions to test multi-chunk parallel processing (CHUNK_SIZE=7 -> 3 chunks)
     const dummyQuestions = Array.from({ length: 15 }, (_, i) => ({
         id: `debug_q${i + 1}`,
@@ -863,27 +6234,31 @@ const SHEET_NAME_DIAGRAMS = 'ReferenceDiagrams';
 
 /**
  * 参考図リストの保存
+ * @param {string} adminToken - 管理者トークン
  * @param {Array} diagrams - [{id, name, url}, ...]
  */
-function saveReferenceDiagrams(diagrams) {
+function saveReferenceDiagrams(adminToken, diagrams) {
+    _requireAdmin(adminToken);
     try {
-        const ssId = _getSpreadsheetId();
-        const ss = SpreadsheetApp.openById(ssId);
-        let sheet = ss.getSheetByName(SHEET_NAME_DIAGRAMS);
-        if (!sheet) {
-            sheet = ss.insertSheet(SHEET_NAME_DIAGRAMS);
-        }
+        return _withScriptLock(() => {
+            const ssId = _getSpreadsheetId();
+            const ss = SpreadsheetApp.openById(ssId);
+            let sheet = ss.getSheetByName(SHEET_NAME_DIAGRAMS);
+            if (!sheet) {
+                sheet = ss.insertSheet(SHEET_NAME_DIAGRAMS);
+            }
 
-        sheet.clear();
-        sheet.appendRow(['ID', 'Name', 'URL']);
+            sheet.clear();
+            sheet.appendRow(['ID', 'Name', 'URL']);
 
-        if (diagrams && diagrams.length > 0) {
-            const rows = diagrams.map(d => [d.id, d.name, d.url]);
-            sheet.getRange(2, 1, rows.length, 3).setValues(rows);
-        }
+            if (diagrams && diagrams.length > 0) {
+                const rows = diagrams.map(d => [d.id, d.name, d.url]);
+                sheet.getRange(2, 1, rows.length, 3).setValues(rows);
+            }
 
-        SpreadsheetApp.flush();
-        return { success: true, message: '図リストを保存しました。' };
+            SpreadsheetApp.flush();
+            return { success: true, message: '図リストを保存しました。' };
+        });
     } catch (e) {
         console.error(e);
         return { success: false, message: '図リスト保存エラー: ' + e.toString() };
@@ -0,0 +1,137 @@
+/**
+ * e2e.js
+ * バックエンドの通しの動作確認: パターンの保存 → 公開 → 受験者の登録 → 途中保存 → 提出・採点 → CSV の読み込み → 受験結果の一覧。
+ * runtime.js で gas_dist の .js を読み込み、受験画面・管理画面と同じく公開関数だけを呼び出す。
+ * 採点はルールベース (外部通信なし) で行い、データはメモリ上にのみ置く (local_dev/data は使わない)。
+ *
+ *   node local_dev/e2e.js
+ *
+ * すべて通れば "e2e: OK" を表示して終了コード 0、失敗すると内容を表示して終了コード 1 で終わる。
+ */
+const assert = require('assert');
+const { createBackend } = require('./runtime');
+
+const ADMIN_PASSWORD = 'e2e-admin';
+const PATTERN_TITLE = 'E2E 動作確認';
+
+const QUESTIONS = [
+    { id: '1', text: '三角形の内角の和は180度である。', points: 2, type: 'truefalse', correctKeys: ['true'] },
+    { id: '2', text: '1.5 A の電流が 10 Ω の抵抗を流れるときの電圧 [V] は?', points: 3, type: 'numeric', numericAnswer: { value: 15, tolerance: 0.1 } },
+    { id: '3', text: 'オームの法則を説明しなさい。', points: 10, criteria: '「電圧」「電流」「抵抗」に触れていること', modelAnswer: '電圧は電流と抵抗の積に等しい。' }
+];
+
+const ANSWERS = {
+    '1': 'true',
+    '2': '15',
+    '3': '電圧は電流と抵抗に比例する'
+};
+
+function main() {
+    const backend = createBackend({ props: { ADMIN_PASSWORD: ADMIN_PASSWORD, GRADING_PROVIDER: 'rule' } });
+    const call = (name, ...args) => backend.call(name, args);
+    const step = (label, fn) => {
+        const result = fn();
+        console.log(`  ok  ${label}`);
+        return result;
+    };
+
+    const token = step('管理者ログイン', () => {
+        const res = call('adminLogin', ADMIN_PASSWORD);
+        assert.ok(res.success && res.token, JSON.stringify(res));
+        return res.token;
+    });
+
+    step('パターンの保存', () => {
+        const res = call('savePattern', token, PATTERN_TITLE, QUESTIONS, { durationMinutes: 30 });
+        assert.ok(res.success, JSON.stringify(res));
+    });
+
+    const accessCode = step('アクセスコード付きの公開', () => {
+        const res = call('createDeployment', token, PATTERN_TITLE);
+        assert.ok(res.success && res.accessCode, JSON.stringify(res));
+        return res.accessCode;
+    });
+
+    const sessionId = step('受験者の登録', () => {
+        const id = call('registerCandidate', 'テスト 太郎', '', accessCode);
+        assert.ok(typeof id === 'string' && id.length > 0, `sessionId: ${id}`);
+        return id;
+    });
+
+    step('受験画面の問題', () => {
+        const res = call('getSessionQuestions', sessionId);
+        assert.ok(res.success, JSON.stringify(res));
+        assert.deepStrictEqual(res.questions.map(q => String(q.id)).sort(), QUESTIONS.map(q => q.id).sort());
+        // 受験画面には正解を渡さない
+        res.questions.forEach(q => assert.strictEqual(q.correctKeys, undefined, `問題 ${q.id} に正解が含まれています。`));
+    });
+
+    step('途中保存', () => {
+        const res = call('autosaveAnswers', ANSWERS, sessionId, '3');
+        assert.ok(res.success, JSON.stringify(res));
+    });
+
+    step('一時保存', () => {
+        const res = call('saveTemporaryAnswers', ANSWERS, sessionId);
+        assert.ok(res.success, JSON.stringify(res));
+    });
+
+    step('提出と採点', () => {
+        const res = call('submitAnswers', ANSWERS, sessionId);
+        assert.ok(res.success, JSON.stringify(res));
+        const scores = {};
+        res.results.forEach(r => { scores[r.questionId] = r.score; });
+        assert.deepStrictEqual(scores, { '1': 2, '2': 3, '3': 10 }, JSON.stringify(res.results));
+        assert.strictEqual(res.totalScore, 15);
+    });
+
+    step('再提出の拒否', () => {
+        const res = call('submitAnswers', { '1': 'false', '2': '0', '3': '' }, sessionId);
+        assert.ok(res.success === false && res.closed, JSON.stringify(res));
+    });
+
+    step('提出後の途中保存の拒否', () => {
+        const res = call('autosaveAnswers', ANSWERS, sessionId, '1');
+        assert.ok(res.success === false && res.closed, JSON.stringify(res));
+    });
+
+    step('CSV の読み込み (項目内の |)', () => {
+        const csv = 'ID,Type,Text,Points,Rubric,Choices,Correct\r\n'
+            + '1,single,正しい論理和は?,2,,A \\| B | A & B | A ^ B,A\r\n'
+            + '2,text,記号を説明しなさい。,4,「\\|x\\|」が絶対値であること (2) | 例を挙げていること (2),,\r\n';
+        const res = call('importQuestions', token, 'csv', csv);
+        assert.ok(res.success, JSON.stringify(res));
+        assert.deepStrictEqual(res.questions[0].choices.map(c => c.text), ['A | B', 'A & B', 'A ^ B']);
+        assert.deepStrictEqual(res.questions[0].correctKeys, ['c1']);
+        assert.deepStrictEqual(res.questions[1].rubric.map(r => r.text), ['「|x|」が絶対値であること', '例を挙げていること']);
+    });
+
+    step('CSV の書き出しと読み込み直し', () => {
+        const questions = [{ id: '1', text: '正しい論理和は?', points: 2, type: 'single', choices: [{ id: 'c1', text: 'A | B' }, { id: 'c2', text: 'A || B' }, { id: 'c3', text: 'A \\| B' }], correctKeys: ['c1'] }];
+        assert.ok(call('savePattern', token, PATTERN_TITLE + ' CSV', questions, {}).success);
+        const exported = call('exportPattern', token, PATTERN_TITLE + ' CSV', 'csv');
+        assert.ok(exported.success, JSON.stringify(exported));
+        const res = call('importQuestions', token, 'csv', exported.content);
+        assert.ok(res.success, JSON.stringify(res));
+        assert.deepStrictEqual(res.questions[0].choices.map(c => c.text), questions[0].choices.map(c => c.text));
+        assert.deepStrictEqual(res.questions[0].correctKeys, ['c1']);
+    });
+
+    step('受験結果の一覧', () => {
+        const res = call('getResults', token, PATTERN_TITLE);
+        assert.ok(res.success, JSON.stringify(res));
+        const row = res.results.find(r => r.sessionId === sessionId);
+        assert.ok(row, '受験結果の一覧に提出がありません。');
+        assert.strictEqual(Number(row.score), 15);
+        assert.strictEqual(row.status, 'SUBMITTED');
+    });
+}
+
+try {
+    main();
+    console.log('e2e: OK');
+} catch (e) {
+    console.error('e2e: FAILED');
+    console.error(e);
+    process.exitCode = 1;
+}
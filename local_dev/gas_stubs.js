@@ -0,0 +1,606 @@
+/**
+ * gas_stubs.js
+ * Google Apps Script サービスのローカル代替実装
+ * SpreadsheetApp / PropertiesService / ScriptApp のデータは 1 つの JSON ファイルに保存する。
+ * CacheService / LockService はプロセス内のみ、UrlFetchApp は子プロセスで同期的に HTTP 通信する。
+ * MailApp は送信せず、ストアの outbox に記録する (開発サーバーの GET /__dev/mail で確認できる)。
+ * DriveApp のファイルは、メタデータをストアに、中身をストアと同じディレクトリの drive/ に保存する (ストアがなければメモリ上)。
+ * Code.js が使う機能だけを実装しているため、新しい GAS の機能を使うときはここにも追加すること。
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+// ---- ファイルストア ----
+
+function reviveDates(value) {
+    if (Array.isArray(value)) return value.map(reviveDates);
+    if (value && typeof value === 'object' && Object.keys(value).length === 1 && value.$date) {
+        return new Date(value.$date);
+    }
+    return value;
+}
+
+function serializeCell(value) {
+    if (value instanceof Date) return { $date: value.toISOString() };
+    return value;
+}
+
+class FileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = { spreadsheets: {}, properties: {} };
+        if (filePath && fs.existsSync(filePath)) {
+            const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            this.data = Object.assign(this.data, raw);
+            Object.values(this.data.spreadsheets).forEach(ss => {
+                Object.keys(ss.sheets).forEach(name => {
+                    ss.sheets[name] = ss.sheets[name].map(row => row.map(reviveDates));
+                });
+            });
+        }
+    }
+
+    save() {
+        if (!this.filePath) return;
+        const out = Object.assign({}, this.data, { spreadsheets: {} });
+        Object.keys(this.data.spreadsheets).forEach(id => {
+            const sheets = {};
+            Object.keys(this.data.spreadsheets[id].sheets).forEach(name => {
+                sheets[name] = this.data.spreadsheets[id].sheets[name].map(row => row.map(serializeCell));
+            });
+            out.spreadsheets[id] = { sheets: sheets };
+        });
+        // 書き込み途中で止まってもストアが壊れないよう、一時ファイルから置き換える
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmp = this.filePath + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(out, null, 1));
+        fs.renameSync(tmp, this.filePath);
+    }
+}
+
+// ---- SpreadsheetApp ----
+
+class Range {
+    constructor(sheet, row, col, numRows, numCols) {
+        this.sheet = sheet;
+        this.row = row;
+        this.col = col;
+        this.numRows = numRows;
+        this.numCols = numCols;
+    }
+
+    getRow() { return this.row; }
+    getColumn() { return this.col; }
+    getNumRows() { return this.numRows; }
+    getNumColumns() { return this.numCols; }
+
+    getValues() {
+        const rows = this.sheet._rows;
+        const out = [];
+        for (let r = 0; r < this.numRows; r++) {
+            const src = rows[this.row - 1 + r] || [];
+            const line = [];
+            for (let c = 0; c < this.numCols; c++) {
+                const v = src[this.col - 1 + c];
+                line.push(v === undefined || v === null ? '' : v);
+            }
+            out.push(line);
+        }
+        return out;
+    }
+
+    getValue() { return this.getValues()[0][0]; }
+
+    setValues(values) {
+        if (values.length !== this.numRows || values.some(v => v.length !== this.numCols)) {
+            throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numCols}).`);
+        }
+        values.forEach((line, r) => {
+            line.forEach((v, c) => this.sheet._set(this.row + r, this.col + c, v));
+        });
+        return this;
+    }
+
+    setValue(value) {
+        for (let r = 0; r < this.numRows; r++) {
+            for (let c = 0; c < this.numCols; c++) this.sheet._set(this.row + r, this.col + c, value);
+        }
+        return this;
+    }
+
+    clearContent() { return this.setValue(''); }
+
+    createTextFinder(text) {
+        const range = this;
+        let entire = false;
+        return {
+            matchEntireCell(flag) { entire = !!flag; return this; },
+            matchCase() { return this; },
+            findAll() {
+                const found = [];
+                range.getValues().forEach((line, r) => line.forEach((v, c) => {
+                    const s = String(v);
+                    if (entire ? s === String(text) : s.includes(String(text))) {
+                        found.push(new Range(range.sheet, range.row + r, range.col + c, 1, 1));
+                    }
+                }));
+                return found;
+            },
+            findNext() { return this.findAll()[0] || null; }
+        };
+    }
+}
+
+class Sheet {
+    constructor(spreadsheet, name) {
+        this.spreadsheet = spreadsheet;
+        this.name = name;
+    }
+
+    get _rows() { return this.spreadsheet._data.sheets[this.name]; }
+
+    _set(row, col, value) {
+        const rows = this._rows;
+        while (rows.length < row) rows.push([]);
+        const line = rows[row - 1];
+        while (line.length < col) line.push('');
+        line[col - 1] = value;
+        this.spreadsheet._dirty();
+    }
+
+    getName() { return this.name; }
+    getLastRow() {
+        const rows = this._rows;
+        for (let i = rows.length - 1; i >= 0; i--) {
+            if (rows[i].some(v => v !== '' && v !== null && v !== undefined)) return i + 1;
+        }
+        return 0;
+    }
+    getLastColumn() { return this._rows.reduce((m, r) => Math.max(m, r.length), 0); }
+    getMaxColumns() { return Math.max(26, this.getLastColumn()); }
+    getMaxRows() { return Math.max(1000, this._rows.length); }
+    insertColumnsAfter() { return this; }
+
+    appendRow(values) {
+        const row = this.getLastRow() + 1;
+        values.forEach((v, i) => this._set(row, i + 1, v));
+        return this;
+    }
+
+    getRange(row, col, numRows, numCols) {
+        if (typeof row === 'string') throw new Error('A1 notation is not supported by the local stand-in.');
+        return new Range(this, row, col, numRows || 1, numCols || 1);
+    }
+
+    getDataRange() {
+        return new Range(this, 1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()));
+    }
+
+    deleteRow(row) {
+        this._rows.splice(row - 1, 1);
+        this.spreadsheet._dirty();
+        return this;
+    }
+
+    deleteRows(row, count) {
+        this._rows.splice(row - 1, count);
+        this.spreadsheet._dirty();
+        return this;
+    }
+
+    clear() {
+        this._rows.length = 0;
+        this.spreadsheet._dirty();
+        return this;
+    }
+
+    setFrozenRows() { return this; }
+}
+
+class Spreadsheet {
+    constructor(store, id) {
+        this.store = store;
+        this.id = id;
+        if (!store.data.spreadsheets[id]) store.data.spreadsheets[id] = { sheets: {} };
+    }
+
+    get _data() { return this.store.data.spreadsheets[this.id]; }
+    _dirty() { this.store.dirty = true; }
+
+    getId() { return this.id; }
+    getSheetByName(name) { return this._data.sheets[name] ? new Sheet(this, name) : null; }
+    getSheets() { return Object.keys(this._data.sheets).map(n => new Sheet(this, n)); }
+    insertSheet(name) {
+        if (this._data.sheets[name]) throw new Error(`A sheet with the name "${name}" already exists.`);
+        this._data.sheets[name] = [];
+        this._dirty();
+        return new Sheet(this, name);
+    }
+}
+
+// ---- Key-Value services ----
+
+function createProperties(store) {
+    const props = store.data.properties;
+    return {
+        getProperty: key => (Object.prototype.hasOwnProperty.call(props, key) ? props[key] : null),
+        setProperty(key, value) { props[key] = String(value); store.dirty = true; return this; },
+        deleteProperty(key) { delete props[key]; store.dirty = true; return this; },
+        getProperties: () => Object.assign({}, props),
+        setProperties(values) { Object.keys(values).forEach(k => { props[k] = String(values[k]); }); store.dirty = true; return this; },
+        getKeys: () => Object.keys(props)
+    };
+}
+
+function createCache() {
+    const entries = new Map();
+    const alive = key => {
+        const e = entries.get(key);
+        if (!e) return null;
+        if (e.expires < Date.now()) { entries.delete(key); return null; }
+        return e.value;
+    };
+    return {
+        get: key => alive(key),
+        put(key, value, ttl) { entries.set(key, { value: String(value), expires: Date.now() + (ttl || 600) * 1000 }); },
+        remove(key) { entries.delete(key); },
+        getAll(keys) { const out = {}; keys.forEach(k => { const v = alive(k); if (v !== null) out[k] = v; }); return out; },
+        putAll(values, ttl) { Object.keys(values).forEach(k => this.put(k, values[k], ttl)); },
+        removeAll(keys) { keys.forEach(k => entries.delete(k)); }
+    };
+}
+
+function createLock() {
+    let held = false;
+    return {
+        waitLock() { held = true; },
+        tryLock() { held = true; return true; },
+        releaseLock() { held = false; },
+        hasLock: () => held
+    };
+}
+
+// ---- UrlFetchApp (同期HTTP: 子プロセスで実行) ----
+
+const FETCH_SCRIPT = `
+let input = '';
+process.stdin.on('data', c => { input += c; });
+process.stdin.on('end', async () => {
+    const reqs = JSON.parse(input);
+    const out = await Promise.all(reqs.map(async r => {
+        try {
+            const res = await fetch(r.url, {
+                method: (r.method || 'get').toUpperCase(),
+                headers: Object.assign({}, r.headers || {}, r.contentType ? { 'Content-Type': r.contentType } : {}),
+                body: r.payload
+            });
+            return { code: res.status, text: await res.text() };
+        } catch (e) {
+            return { error: String(e) };
+        }
+    }));
+    process.stdout.write(JSON.stringify(out));
+});
+`;
+
+class HTTPResponse {
+    constructor(code, text) { this.code = code; this.text = text; }
+    getResponseCode() { return this.code; }
+    getContentText() { return this.text; }
+}
+
+function fetchAllSync(requests) {
+    const stdout = execFileSync(process.execPath, ['-e', FETCH_SCRIPT], {
+        input: JSON.stringify(requests),
+        maxBuffer: 64 * 1024 * 1024,
+        timeout: 120000
+    });
+    return JSON.parse(stdout.toString()).map((r, i) => {
+        if (r.error) {
+            if (requests[i].muteHttpExceptions) return new HTTPResponse(0, r.error);
+            throw new Error(`Exception: Request failed for ${requests[i].url}: ${r.error}`);
+        }
+        if (r.code >= 400 && !requests[i].muteHttpExceptions) {
+            throw new Error(`Exception: Request failed for ${requests[i].url} returned code ${r.code}. Truncated server response: ${r.text.slice(0, 200)}`);
+        }
+        return new HTTPResponse(r.code, r.text);
+    });
+}
+
+const UrlFetchApp = {
+    fetch(url, params) { return fetchAllSync([Object.assign({ url }, params || {})])[0]; },
+    fetchAll(requests) { return fetchAllSync(requests.map(r => (typeof r === 'string' ? { url: r } : r))); }
+};
+
+// ---- Utilities ----
+
+function toSignedBytes(buf) {
+    return Array.from(buf).map(b => (b > 127 ? b - 256 : b));
+}
+
+class Blob {
+    constructor(bytes, contentType, name) {
+        this.bytes = Buffer.from(bytes);
+        this.contentType = contentType || 'application/octet-stream';
+        this.name = name || '';
+    }
+    getBytes() { return toSignedBytes(this.bytes); }
+    getDataAsString() { return this.bytes.toString('utf8'); }
+    getContentType() { return this.contentType; }
+    setContentType(t) { this.contentType = t; return this; }
+    getName() { return this.name; }
+    setName(n) { this.name = n; return this; }
+    copyBlob() { return new Blob(this.bytes, this.contentType, this.name); }
+    getAs(contentType) {
+        // 形式の変換 (HTML -> PDF など) は Google のサーバーでしかできない
+        if (contentType === this.contentType) return this.copyBlob();
+        throw new Error(`Blob.getAs(${contentType}) はローカル開発環境では使えません`);
+    }
+}
+
+// RFC 4180 形式の CSV 解析 (Utilities.parseCsv 相当)
+function parseCsv(text) {
+    const rows = [];
+    let row = [], field = '', i = 0, quoted = false;
+    while (i < text.length) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i += 2; continue; }
+            if (ch === '"') { quoted = false; i++; continue; }
+            field += ch; i++; continue;
+        }
+        if (ch === '"') { quoted = true; i++; continue; }
+        if (ch === ',') { row.push(field); field = ''; i++; continue; }
+        if (ch === '\r' || ch === '\n') {
+            row.push(field); rows.push(row); row = []; field = '';
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            i++; continue;
+        }
+        field += ch; i++;
+    }
+    if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+    return rows;
+}
+
+// ---- XmlService (解析のみ) ----
+class XmlElement {
+    constructor(name, attrs) { this.name = name; this.attrs = attrs; this.children = []; this.text = ''; }
+    getName() { return this.name; }
+    getChildren(name) { return name === undefined ? this.children.slice() : this.children.filter(c => c.name === name); }
+    getChild(name) { return this.children.find(c => c.name === name) || null; }
+    getChildText(name) { const c = this.getChild(name); return c ? c.getText() : null; }
+    getText() { return this.text; }
+    getAttribute(name) { return name in this.attrs ? { getValue: () => this.attrs[name], getName: () => name } : null; }
+}
+
+function decodeXmlEntities(s) {
+    return s.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (m, e) => {
+        if (e === 'lt') return '<'; if (e === 'gt') return '>'; if (e === 'amp') return '&';
+        if (e === 'quot') return '"'; if (e === 'apos') return "'";
+        return String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    });
+}
+
+function parseXml(xml) {
+    const root = new XmlElement('#document', {});
+    const stack = [root];
+    const re = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s\/>]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let m;
+    while ((m = re.exec(xml)) !== null) {
+        const top = stack[stack.length - 1];
+        if (m[1] !== undefined) { top.text += m[1]; continue; }
+        if (m[2] !== undefined) {
+            if (top.name !== m[2]) throw new Error('Malformed XML: unexpected </' + m[2] + '>');
+            stack.pop(); continue;
+        }
+        if (m[3] !== undefined) {
+            const attrs = {};
+            (m[4] || '').replace(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g, (a, k, v, dq, sq) => { attrs[k] = decodeXmlEntities(dq !== undefined ? dq : sq); return a; });
+            const el = new XmlElement(m[3], attrs);
+            top.children.push(el);
+            if (!m[5]) stack.push(el);
+            continue;
+        }
+        if (m[6] !== undefined) top.text += decodeXmlEntities(m[6]);
+    }
+    if (stack.length !== 1) throw new Error('Malformed XML: unclosed <' + stack[stack.length - 1].name + '>');
+    const rootEl = root.children[0];
+    if (!rootEl) throw new Error('Malformed XML: no root element');
+    return { getRootElement: () => rootEl };
+}
+
+const XmlService = { parse: parseXml };
+
+const Utilities = {
+    DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' },
+    Charset: { UTF_8: 'utf8', US_ASCII: 'ascii' },
+    getUuid: () => crypto.randomUUID(),
+    sleep: ms => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, Math.min(ms, 5000)),
+    computeDigest: (algo, value) => toSignedBytes(crypto.createHash(algo).update(typeof value === 'string' ? Buffer.from(value, 'utf8') : Buffer.from(value)).digest()),
+    base64Encode: value => (typeof value === 'string' ? Buffer.from(value, 'utf8') : Buffer.from(value.map(b => b & 255))).toString('base64'),
+    base64Decode: value => toSignedBytes(Buffer.from(value, 'base64')),
+    newBlob: (data, contentType, name) => new Blob(typeof data === 'string' ? Buffer.from(data, 'utf8') : Buffer.from(data.map(b => b & 255)), contentType, name),
+    parseCsv: parseCsv,
+    formatDate: (date, tz, fmt) => {
+        const d = new Date(date);
+        const pad = n => String(n).padStart(2, '0');
+        return fmt
+            .replace('yyyy', d.getFullYear())
+            .replace('MM', pad(d.getMonth() + 1))
+            .replace('dd', pad(d.getDate()))
+            .replace('HH', pad(d.getHours()))
+            .replace('mm', pad(d.getMinutes()))
+            .replace('ss', pad(d.getSeconds()));
+    }
+};
+
+// ---- ScriptApp (トリガーは記録のみ) ----
+
+function createScriptApp(store) {
+    if (!store.data.triggers) store.data.triggers = [];
+    const triggers = store.data.triggers;
+    const wrap = t => ({
+        getHandlerFunction: () => t.handler,
+        getUniqueId: () => t.id,
+        getEventType: () => 'CLOCK'
+    });
+    return {
+        newTrigger(handler) {
+            const spec = { id: crypto.randomUUID(), handler };
+            const builder = {
+                timeBased() { return builder; },
+                everyMinutes(n) { spec.everyMinutes = n; return builder; },
+                everyHours(n) { spec.everyHours = n; return builder; },
+                atHour(n) { spec.atHour = n; return builder; },
+                everyDays(n) { spec.everyDays = n; return builder; },
+                create() { triggers.push(spec); store.dirty = true; return wrap(spec); }
+            };
+            return builder;
+        },
+        getProjectTriggers: () => triggers.map(wrap),
+        deleteTrigger(trigger) {
+            const i = triggers.findIndex(t => t.id === trigger.getUniqueId());
+            if (i >= 0) triggers.splice(i, 1);
+            store.dirty = true;
+        },
+        getScriptId: () => 'local-script'
+    };
+}
+
+// ---- MailApp (送信せず outbox に記録) ----
+
+const OUTBOX_LIMIT = 200;
+
+function createMailApp(store) {
+    if (!store.data.outbox) store.data.outbox = [];
+    const outbox = store.data.outbox;
+    return {
+        sendEmail(recipientOrMessage, subject, body, options) {
+            const message = typeof recipientOrMessage === 'object'
+                ? Object.assign({}, recipientOrMessage)
+                : Object.assign({ to: recipientOrMessage, subject: subject, body: body }, options || {});
+            if (!message.to) throw new Error('Invalid argument: recipient');
+            outbox.push(Object.assign({ sentAt: new Date().toISOString() }, message));
+            if (outbox.length > OUTBOX_LIMIT) outbox.splice(0, outbox.length - OUTBOX_LIMIT);
+            store.dirty = true;
+            console.log(`[mail] to=${message.to} subject=${message.subject}`);
+        },
+        getRemainingDailyQuota: () => 100
+    };
+}
+
+// ---- DriveApp (フォルダ・ファイルの作成と読み込みのみ) ----
+
+function createDriveApp(store) {
+    if (!store.data.drive) store.data.drive = { folders: {}, files: {} };
+    const drive = store.data.drive;
+    const dir = store.filePath ? path.join(path.dirname(store.filePath), 'drive') : null;
+    const memory = {};
+
+    const readBytes = id => (dir ? fs.readFileSync(path.join(dir, id)) : memory[id]);
+    const writeBytes = (id, bytes) => {
+        if (!dir) { memory[id] = bytes; return; }
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, id), bytes);
+    };
+
+    const wrapFile = (id) => {
+        const meta = drive.files[id];
+        return {
+            getId: () => id,
+            getName: () => meta.name,
+            getMimeType: () => meta.mimeType,
+            getSize: () => meta.size,
+            getDateCreated: () => new Date(meta.createdAt),
+            getBlob: () => new Blob(readBytes(id), meta.mimeType, meta.name),
+            isTrashed: () => !!meta.trashed,
+            setTrashed(trashed) { meta.trashed = !!trashed; store.dirty = true; return this; }
+        };
+    };
+    const wrapFolder = (id) => ({
+        getId: () => id,
+        getName: () => drive.folders[id].name,
+        createFile(blob) {
+            const fileId = 'local-file-' + crypto.randomUUID();
+            writeBytes(fileId, blob.bytes);
+            drive.files[fileId] = {
+                name: blob.getName() || 'Untitled', mimeType: blob.getContentType(), size: blob.bytes.length,
+                folderId: id, trashed: false, createdAt: new Date().toISOString()
+            };
+            store.dirty = true;
+            return wrapFile(fileId);
+        }
+    });
+
+    return {
+        createFolder(name) {
+            const id = 'local-folder-' + crypto.randomUUID();
+            drive.folders[id] = { name: String(name) };
+            store.dirty = true;
+            return wrapFolder(id);
+        },
+        getFolderById(id) {
+            if (!drive.folders[id]) throw new Error(`No item with the given ID could be found: ${id}`);
+            return wrapFolder(id);
+        },
+        getFileById(id) {
+            if (!drive.files[id]) throw new Error(`No item with the given ID could be found: ${id}`);
+            return wrapFile(id);
+        }
+    };
+}
+
+/**
+ * Code.js を実行するための GAS グローバル一式を作成する
+ * @param {Object} options - { storeFile, activeUserEmail }
+ */
+function createGasGlobals(options) {
+    const store = new FileStore(options.storeFile);
+    const cache = createCache();
+    const lock = createLock();
+    const user = { getEmail: () => options.activeUserEmail || '' };
+
+    const globals = {
+        SpreadsheetApp: {
+            openById: id => new Spreadsheet(store, id),
+            flush: () => {}
+        },
+        PropertiesService: {
+            getScriptProperties: () => createProperties(store)
+        },
+        CacheService: {
+            getScriptCache: () => cache
+        },
+        LockService: {
+            getScriptLock: () => lock
+        },
+        UrlFetchApp,
+        Utilities,
+        XmlService,
+        Session: {
+            getActiveUser: () => user,
+            getEffectiveUser: () => user,
+            getScriptTimeZone: () => Intl.DateTimeFormat().resolvedOptions().timeZone
+        },
+        ScriptApp: createScriptApp(store),
+        MailApp: createMailApp(store),
+        DriveApp: createDriveApp(store),
+        console
+    };
+
+    return {
+        store,
+        globals,
+        /** 変更があればストアをファイルへ書き出す */
+        commit() {
+            if (store.dirty) {
+                store.save();
+                store.dirty = false;
+            }
+        }
+    };
+}
+
+module.exports = { createGasGlobals, FileStore };
@@ -0,0 +1,119 @@
+/**
+ * mock_grader.js
+ * 採点プロバイダのローカル代替 (OpenAI 互換 / Gemini 互換の HTTP API)
+ * Code.js の採点プロンプトから各問題の配点・採点基準・採点項目・回答を読み取り、
+ * 「」で囲んだキーワードが回答に含まれる割合で決定的に採点する。
+ * 回答画像は受け取るが中身は読まない (画像だけの回答は配点の半分とする)。
+ *
+ *   node local_dev/mock_grader.js [port]   (既定 8788)
+ *
+ * OpenAI 互換: GET /v1/models, POST /v1/chat/completions
+ * Gemini 互換: GET /v1beta/models, POST /v1beta/models/<model>:generateContent
+ */
+const http = require('http');
+
+const DEFAULT_PORT = 8788;
+const MOCK_MODEL = 'mock-grader';
+
+const normalize = (text) => String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+
+const quoted = (text) => {
+    const out = [];
+    const re = /[「"“]([^」"”]+)[」"”]/g;
+    let m;
+    while ((m = re.exec(String(text || ''))) !== null) out.push(m[1].trim());
+    return out.filter(Boolean);
+};
+
+/**
+ * プロンプトを問題ごとのブロック (「ID: n」から次の「---」まで) に分けて採点する
+ */
+function gradePrompt(prompt) {
+    // 画像の前に付くラベル (「ID: n の回答画像 k」) は問題のブロックではないので除く
+    const text = String(prompt).replace(/^\s*ID: \d+ の回答画像 \d+\s*$/gm, '');
+    return text.split(/\n\s*---\s*\n/).slice(1).map(block => {
+        const field = (label) => {
+            const m = block.match(new RegExp(`^\\s*${label}: ?(.*)$`, 'm'));
+            return m ? m[1].trim() : '';
+        };
+        const index = Number(field('ID'));
+        const points = parseFloat(field('配点')) || 0;
+        const answerMatch = block.match(/学生の回答: ?([\s\S]*?)(?:\n\s*添付画像: ?(\d+)枚)?\s*$/);
+        const answer = normalize(answerMatch ? answerMatch[1] : '');
+        const imageCount = answerMatch && answerMatch[2] ? Number(answerMatch[2]) : 0;
+        if (imageCount > 0 && answer === normalize('(文章での回答なし。添付画像を参照)')) {
+            return { index: index, score: Math.floor(points / 2), reason: `(Mock) 回答画像 ${imageCount} 枚を受け取りました (内容は読まずに配点の半分としました)。` };
+        }
+        if (!answer || answer === normalize('(未回答)')) {
+            return { index: index, score: 0, reason: '(Mock) 未回答です。' };
+        }
+
+        const rubric = [];
+        block.replace(/^\s*項目(\d+): (.*) \(([\d.]+)点\)$/gm, (m, k, text, p) => {
+            rubric.push({ item: Number(k), text: text, points: Number(p) });
+            return m;
+        });
+        if (rubric.length > 0) {
+            const items = rubric.map(r => {
+                const words = quoted(r.text);
+                const met = (words.length > 0 ? words : [r.text]).every(w => answer.indexOf(normalize(w)) >= 0);
+                return { item: r.item, score: met ? r.points : 0, reason: met ? '(Mock) 満たしています。' : '(Mock) 不足しています。' };
+            });
+            return { index: index, score: items.reduce((sum, it) => sum + it.score, 0), reason: '(Mock) 採点項目ごとに採点しました。', items: items };
+        }
+
+        const keywords = quoted(field('採点基準'));
+        if (keywords.length === 0) return { index: index, score: points, reason: '(Mock) キーワード指定がないため満点としました。' };
+        const hits = keywords.filter(w => answer.indexOf(normalize(w)) >= 0);
+        return {
+            index: index,
+            score: Math.floor(points * hits.length / keywords.length),
+            reason: `(Mock) キーワード ${hits.length}/${keywords.length} 個一致`
+        };
+    }).filter(r => Number.isInteger(r.index));
+}
+
+function createMockGrader() {
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const reply = (code, obj) => {
+                res.writeHead(code, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(obj));
+            };
+            try {
+                const url = req.url.split('?')[0];
+                if (req.method === 'GET' && url === '/v1/models') return reply(200, { data: [{ id: MOCK_MODEL }] });
+                if (req.method === 'GET' && url === '/v1beta/models') return reply(200, { models: [{ name: 'models/' + MOCK_MODEL }] });
+
+                if (req.method === 'POST' && url === '/v1/chat/completions') {
+                    const payload = JSON.parse(body || '{}');
+                    // 画像付きの content は [{ type: 'text' }, { type: 'image_url' }] の配列
+                    const prompt = (payload.messages || []).map(m => Array.isArray(m.content)
+                        ? m.content.filter(c => c.type === 'text').map(c => c.text).join('\n')
+                        : m.content).join('\n');
+                    const content = JSON.stringify({ results: gradePrompt(prompt) });
+                    return reply(200, { choices: [{ message: { role: 'assistant', content: content } }] });
+                }
+                if (req.method === 'POST' && /^\/v1beta\/models\/[^/]+:generateContent$/.test(url)) {
+                    const payload = JSON.parse(body || '{}');
+                    const prompt = (payload.contents || []).map(c => (c.parts || []).map(p => p.text || '').join('\n')).join('\n');
+                    return reply(200, { candidates: [{ content: { parts: [{ text: JSON.stringify(gradePrompt(prompt)) }] } }] });
+                }
+                reply(404, { error: { message: 'Not found: ' + req.method + ' ' + url } });
+            } catch (e) {
+                reply(400, { error: { message: String(e) } });
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || DEFAULT_PORT;
+    createMockGrader().listen(port, '127.0.0.1', () => {
+        console.log(`Mock grader: http://127.0.0.1:${port}/v1 (OpenAI 互換), http://127.0.0.1:${port}/v1beta (Gemini 互換)`);
+    });
+}
+
+module.exports = { createMockGrader, gradePrompt, MOCK_MODEL };
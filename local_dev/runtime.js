@@ -0,0 +1,97 @@
+/**
+ * runtime.js
+ * gas_dist の .js を GAS と同じく 1 つのグローバルスコープに読み込み、公開関数を呼び出せるようにする。
+ * 開発サーバー (server.js) のほか、Node から直接バックエンドを操作する自動テストにも使える。
+ *
+ *   const { createBackend } = require('./local_dev/runtime');
+ *   const backend = createBackend({ storeFile: '/tmp/store.json', props: { ADMIN_PASSWORD: 'pw' } });
+ *   const token = backend.call('adminLogin', ['pw']).token;
+ *
+ * 保存から採点までを通して確認するスクリプトは e2e.js (node local_dev/e2e.js)。
+ */
+const vm = require('vm');
+const fs = require('fs');
+const path = require('path');
+const { createGasGlobals } = require('./gas_stubs');
+
+const DEFAULT_CODE_DIR = path.join(__dirname, '..', 'gas_dist');
+const LOCAL_SPREADSHEET_ID = 'local';
+
+/**
+ * @param {Object} options - { storeFile, codeDir, props, activeUserEmail }
+ *   storeFile: 保存先の JSON ファイル (省略時はメモリ上のみ)
+ *   props: スクリプトプロパティの初期値 (未設定のものだけ書き込む)
+ */
+function createBackend(options) {
+    const opts = options || {};
+    const codeDir = opts.codeDir || DEFAULT_CODE_DIR;
+    const env = createGasGlobals({ storeFile: opts.storeFile || null, activeUserEmail: opts.activeUserEmail || '' });
+
+    const props = env.globals.PropertiesService.getScriptProperties();
+    const initial = Object.assign({ SHEET_ID: LOCAL_SPREADSHEET_ID }, opts.props || {});
+    Object.keys(initial).forEach(key => {
+        if (props.getProperty(key) === null && initial[key] !== undefined) props.setProperty(key, initial[key]);
+    });
+    env.commit();
+
+    let ctx = null;
+    let loadedAt = 0;
+
+    // GAS と同様にファイル名順で読み込む (同名の関数は後のファイルが優先される)
+    const sourceFiles = () => fs.readdirSync(codeDir).filter(f => f.endsWith('.js')).sort();
+
+    const load = () => {
+        ctx = vm.createContext(Object.assign({}, env.globals));
+        sourceFiles().forEach(f => {
+            vm.runInContext(fs.readFileSync(path.join(codeDir, f), 'utf8'), ctx, { filename: path.join(codeDir, f) });
+        });
+        loadedAt = Date.now();
+    };
+
+    // ソースが更新されていれば読み込み直す (ストアはそのまま)
+    const reloadIfChanged = () => {
+        const changed = sourceFiles().some(f => fs.statSync(path.join(codeDir, f)).mtimeMs > loadedAt);
+        if (!ctx || changed) load();
+    };
+
+    return {
+        env: env,
+        get context() { reloadIfChanged(); return ctx; },
+
+        /**
+         * 公開関数の呼び出し (google.script.run と同じく、_ で始まる内部関数は呼べない)
+         * 戻り値は google.script.run と同様に JSON 相当へ変換する。
+         */
+        call(name, args) {
+            if (!/^[A-Za-z]\w*$/.test(String(name))) throw new Error(`Script function not found: ${name}`);
+            reloadIfChanged();
+            const fn = ctx[name];
+            if (typeof fn !== 'function') throw new Error(`Script function not found: ${name}`);
+            try {
+                const result = fn.apply(null, args || []);
+                return result === undefined ? null : JSON.parse(JSON.stringify(result));
+            } finally {
+                env.commit();
+            }
+        },
+
+        /** 登録済みの時間主導トリガーのハンドラを 1 回ずつ実行する */
+        runTriggers() {
+            reloadIfChanged();
+            return env.globals.ScriptApp.getProjectTriggers().map(t => {
+                const handler = t.getHandlerFunction();
+                try {
+                    ctx[handler]({ triggerUid: t.getUniqueId() });
+                    return { handler: handler, success: true };
+                } catch (e) {
+                    console.error(`Trigger ${handler} failed:`, e);
+                    return { handler: handler, success: false, message: String(e) };
+                } finally {
+                    env.commit();
+                }
+            });
+        }
+    };
+}
+
+module.exports = { createBackend };
@@ -0,0 +1,160 @@
+/**
+ * server.js
+ * ローカル開発サーバー: gas_dist/index.html を配信し、google.script.run の呼び出しを実際の Code.js に渡す。
+ * データは local_dev/data/store.json (Git 管理外) に保存され、再起動しても残る。
+ *
+ *   node local_dev/server.js
+ *
+ * 環境変数:
+ *   PORT                 - 開発サーバーのポート (既定 8787)
+ *   MOCK_GRADER_PORT     - モック採点サーバーのポート (既定 8788)。"off" で起動しない
+ *   LOCAL_STORE          - 保存先ファイル (既定 local_dev/data/store.json)
+ *   ADMIN_PASSWORD       - 初回起動時に設定する管理者パスワード (既定 admin)
+ *   LOCAL_USER_EMAIL     - Session.getActiveUser() が返すメールアドレス
+ *
+ * 初回起動時は採点プロバイダを「OpenAI 互換」、エンドポイントをモック採点サーバーに設定する。
+ * 実際の API を使う場合は画面の「採点設定」から変更する。
+ *
+ * 開発用の補助エンドポイント:
+ *   POST /__dev/triggers - 登録済みの時間主導トリガーを 1 回ずつ実行する
+ *   GET  /__dev/mail     - MailApp で「送信」したメール (新しい順, 最大 200 件)
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createBackend } = require('./runtime');
+
+const PORT = Number(process.env.PORT) || 8787;
+const MOCK_GRADER_PORT = process.env.MOCK_GRADER_PORT === 'off' ? null : (Number(process.env.MOCK_GRADER_PORT) || 8788);
+const STORE_FILE = process.env.LOCAL_STORE || path.join(__dirname, 'data', 'store.json');
+const INDEX_HTML = path.join(__dirname, '..', 'gas_dist', 'index.html');
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const backend = createBackend({
+    storeFile: STORE_FILE,
+    activeUserEmail: process.env.LOCAL_USER_EMAIL || '',
+    props: Object.assign(
+        { ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || 'admin' },
+        MOCK_GRADER_PORT ? {
+            GRADING_PROVIDER: 'openai',
+            GRADING_ENDPOINT: `http://127.0.0.1:${MOCK_GRADER_PORT}/v1`,
+            GRADING_MODEL: 'mock-grader'
+        } : {}
+    )
+});
+
+// google.script.run の代替 (index.html の <head> 直後に挿入する)
+const CLIENT_SHIM = `<script>
+(function () {
+    function call(name, args, onSuccess, onFailure) {
+        fetch('/rpc/' + encodeURIComponent(name), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(args)
+        }).then(function (res) { return res.json(); }).then(function (body) {
+            if (body.error !== undefined) {
+                if (onFailure) onFailure(new Error(body.error));
+            } else if (onSuccess) {
+                onSuccess(body.result);
+            }
+        }).catch(function (e) { if (onFailure) onFailure(e); });
+    }
+    function runner(onSuccess, onFailure) {
+        return new Proxy({}, {
+            get: function (target, prop) {
+                if (prop === 'withSuccessHandler') return function (fn) { return runner(fn, onFailure); };
+                if (prop === 'withFailureHandler') return function (fn) { return runner(onSuccess, fn); };
+                return function () { call(prop, Array.prototype.slice.call(arguments), onSuccess, onFailure); };
+            }
+        });
+    }
+    window.google = { script: { get run() { return runner(null, null); } } };
+})();
+</script>`;
+
+function sendJson(res, code, obj) {
+    res.writeHead(code, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(obj));
+}
+
+function readBody(req, callback) {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => callback(Buffer.concat(chunks).toString('utf8')));
+}
+
+const server = http.createServer((req, res) => {
+    const url = req.url.split('?')[0];
+
+    if (req.method === 'GET' && (url === '/' || url === '/index.html')) {
+        // 編集中の index.html を毎回読み直す
+        const html = fs.readFileSync(INDEX_HTML, 'utf8').replace(/<head>/i, m => m + '\n' + CLIENT_SHIM);
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(html);
+        return;
+    }
+
+    if (req.method === 'POST' && url.startsWith('/rpc/')) {
+        const name = decodeURIComponent(url.slice('/rpc/'.length));
+        readBody(req, body => {
+            let args;
+            try {
+                args = body ? JSON.parse(body) : [];
+            } catch (e) {
+                return sendJson(res, 400, { error: 'Invalid JSON: ' + e.message });
+            }
+            const started = Date.now();
+            try {
+                const result = backend.call(name, Array.isArray(args) ? args : []);
+                console.log(`[rpc] ${name} ${Date.now() - started}ms`);
+                sendJson(res, 200, { result: result });
+            } catch (e) {
+                // GAS と同様、例外はクライアントの失敗ハンドラに渡す
+                console.error(`[rpc] ${name} failed:`, e);
+                sendJson(res, 200, { error: String(e) });
+            }
+        });
+        return;
+    }
+
+    if (req.method === 'POST' && url === '/__dev/triggers') {
+        sendJson(res, 200, { results: backend.runTriggers() });
+        return;
+    }
+
+    if (req.method === 'GET' && url === '/__dev/mail') {
+        sendJson(res, 200, { messages: (backend.env.store.data.outbox || []).slice().reverse() });
+        return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+});
+
+let grader = null;
+if (MOCK_GRADER_PORT) {
+    // UrlFetchApp は同期通信で開発サーバーを止めるため、モック採点サーバーは別プロセスで動かす
+    grader = spawn(process.execPath, [path.join(__dirname, 'mock_grader.js'), String(MOCK_GRADER_PORT)], { stdio: 'inherit' });
+    grader.on('exit', code => { if (code) console.error(`Mock grader exited with code ${code}`); });
+}
+
+const shutdown = () => {
+    if (grader) grader.kill();
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 1000).unref();
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`ElecTest local server: http://127.0.0.1:${PORT}/`);
+    console.log(`Store: ${STORE_FILE}`);
+});